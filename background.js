@@ -0,0 +1,1300 @@
+/**
+ * Anilist Hover Comments - Background service worker
+ *
+ * Owns the API request queue, the rate limiter and the comment cache for every
+ * Anilist tab. Content scripts talk to it via runtime messaging, so the request
+ * budget is global and a note fetched in one tab is immediately visible in all
+ * of them (they mirror the cache through chrome.storage change events).
+ *
+ * @author ExAstra
+ * @see https://github.com/rikymarche-ctrl/anilist-extension
+ */
+
+importScripts('common.js');
+
+/**
+ * MediaList fields requested for every user entry
+ */
+const MEDIA_LIST_FIELDS = `
+    notes
+    score
+    status
+    progress
+    progressVolumes
+    repeat
+    startedAt { year month day }
+    completedAt { year month day }
+    updatedAt
+    user { mediaListOptions { scoreFormat } }
+    media { type episodes chapters volumes title { userPreferred } }
+`;
+
+/**
+ * Enhanced cache manager with negative caching.
+ *
+ * Entries live in extension-owned chrome.storage.local, one storage key per
+ * entry, and are mirrored in memory for synchronous reads. The cache is kept
+ * under CACHE_MAX_ENTRIES / CACHE_MAX_BYTES by evicting entries without a note
+ * first, then least recently used entries.
+ */
+class CacheManager {
+    static MIGRATION_FLAG = 'cacheMigrated';
+
+    constructor() {
+        this.cache = {};
+        this.sizes = {}; // Approximate stored size per entry, in bytes
+        this.totalBytes = 0;
+        this.accessedKeys = new Set(); // Entries whose lastAccess must be persisted
+        this.accessFlushTimer = null;
+        this.isMigrated = false;
+    }
+
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get(null);
+            for (const [storageKey, data] of Object.entries(stored)) {
+                if (storageKey.startsWith(CACHE_KEY_PREFIX) && data) {
+                    this.remember(storageKey.slice(CACHE_KEY_PREFIX.length), data);
+                }
+            }
+            this.isMigrated = Boolean(stored[CacheManager.MIGRATION_FLAG]);
+            await this.purgeExpiredNegatives();
+            await this.enforceLimits();
+        } catch (error) {
+            Logger.warn('Cache loading failed:', error.message);
+        }
+    }
+
+    /**
+     * One-time import of the cache previously kept in the page's localStorage.
+     * The service worker cannot read Anilist's localStorage, so a content script sends it.
+     */
+    async migrateLegacy(legacy) {
+        if (this.isMigrated) return;
+
+        const entries = {};
+        for (const [key, data] of Object.entries(legacy || {})) {
+            if (!this.cache[key] && data && typeof data.timestamp === 'number') {
+                const record = { content: data.content || '', timestamp: data.timestamp, details: data.details || null, lastAccess: data.timestamp };
+                this.remember(key, record);
+                entries[CACHE_KEY_PREFIX + key] = record;
+            }
+        }
+
+        this.isMigrated = true;
+        await chrome.storage.local.set({ ...entries, [CacheManager.MIGRATION_FLAG]: true });
+        await this.enforceLimits();
+        Logger.log(`Migrated ${Object.keys(entries).length} cache entries from localStorage`);
+    }
+
+    /**
+     * Drops every negative entry, e.g. when logging in makes more lists visible
+     */
+    async purgeNegatives() {
+        const negatives = Object.keys(this.cache).filter(key => !new CachedComment(this.cache[key]).hasContent());
+        await this.remove(negatives);
+    }
+
+    /**
+     * Drops negative entries that would be re-fetched anyway
+     */
+    async purgeExpiredNegatives() {
+        const expired = Object.keys(this.cache).filter(key => {
+            const cached = new CachedComment(this.cache[key]);
+            return !cached.hasContent() && !cached.isNegativeCacheValid();
+        });
+        await this.remove(expired);
+    }
+
+    get(key) {
+        const data = this.cache[key];
+        if (!data) return null;
+        return new CachedComment(data);
+    }
+
+    set(key, content, details = null, status = null) {
+        this.setMany([{ key, content, details, status }]);
+    }
+
+    /**
+     * Records a failed fetch, unless that would hide a note cached earlier
+     */
+    setError(key) {
+        if (this.get(key)?.hasContent()) return;
+        this.set(key, '', null, NOTE_STATUS.ERROR);
+    }
+
+    /**
+     * Stores several entries with a single storage write
+     */
+    setMany(entries) {
+        const now = Date.now();
+        const records = {};
+        for (const { key, content, details = null, status = null } of entries) {
+            const record = CacheManager.inherit(this.cache[key], {
+                content: content || '',
+                timestamp: now,
+                details,
+                status: status || CachedComment.statusOf(content, details),
+                lastAccess: now
+            });
+            this.remember(key, record);
+            records[key] = record;
+        }
+        this.persist(records);
+    }
+
+    /**
+     * Carries over what a new version of an entry keeps from the previous one:
+     * the read marker, the translation while the note is unchanged, and the
+     * previous note in the history once it changes.
+     */
+    static inherit(previous, record) {
+        if (!previous) return record;
+
+        if (previous.readHash) record.readHash = previous.readHash;
+        let history = previous.history || [];
+        if (previous.content === record.content) {
+            if (previous.translation) record.translation = previous.translation;
+        } else if (previous.content) {
+            history = [{ content: previous.content, timestamp: previous.timestamp }, ...history];
+        }
+        // Imported entries bring their own history; merge both, newest first
+        const seen = new Set();
+        history = [...history, ...(record.history || [])]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .filter(version => {
+                const id = `${version.timestamp}:${version.content}`;
+                if (seen.has(id)) return false;
+                seen.add(id);
+                return true;
+            })
+            .slice(0, CONFIG.NOTE_HISTORY_SIZE);
+        if (history.length > 0) {
+            record.history = history;
+        } else {
+            delete record.history;
+        }
+        return record;
+    }
+
+    /**
+     * Remembers which version of a note the user last opened
+     */
+    markRead(key, readHash) {
+        const record = this.cache[key];
+        if (!record || record.readHash === readHash) return;
+        this.remember(key, { ...record, readHash });
+        this.persist({ [key]: this.cache[key] });
+    }
+
+    /**
+     * Stores a content script's translation of a note alongside the entry
+     */
+    setTranslation(key, translation) {
+        const record = this.cache[key];
+        if (!record) return;
+        this.remember(key, { ...record, translation });
+        this.persist({ [key]: this.cache[key] });
+    }
+
+    /**
+     * Every cached note, without negative entries, in the export file format
+     */
+    exportEntries() {
+        return Object.entries(this.cache)
+            .filter(([, record]) => new CachedComment(record).hasContent())
+            .map(([key, record]) => {
+                const { username, mediaId } = parseCacheKey(key);
+                return {
+                    username,
+                    mediaId,
+                    title: record.details?.title || null,
+                    content: record.content,
+                    timestamp: record.timestamp,
+                    details: record.details,
+                    history: record.history || []
+                };
+            });
+    }
+
+    /**
+     * Merges exported entries into the cache. When both sides have a note,
+     * the one fetched last wins.
+     */
+    async importEntries(entries) {
+        const now = Date.now();
+        const records = {};
+        let skipped = 0;
+        for (const entry of Array.isArray(entries) ? entries : []) {
+            const valid = entry &&
+                typeof entry.username === 'string' && /^\w+$/.test(entry.username) &&
+                Number.isInteger(entry.mediaId) && entry.mediaId > 0 &&
+                typeof entry.content === 'string' &&
+                Number.isFinite(entry.timestamp);
+            const key = valid ? cacheKey(entry.username, entry.mediaId) : null;
+            if (!valid || (this.cache[key] && this.cache[key].timestamp >= entry.timestamp)) {
+                skipped++;
+                continue;
+            }
+
+            const details = entry.details && typeof entry.details === 'object' ? entry.details : null;
+            const history = (Array.isArray(entry.history) ? entry.history : [])
+                .filter(version => version && typeof version.content === 'string' && Number.isFinite(version.timestamp))
+                .map(({ content, timestamp }) => ({ content, timestamp }));
+            records[key] = CacheManager.inherit(this.cache[key], { content: entry.content, timestamp: entry.timestamp, details, lastAccess: now, history });
+            this.remember(key, records[key]);
+        }
+
+        if (Object.keys(records).length > 0) {
+            await this.persist(records);
+        }
+        Logger.log(`Imported ${Object.keys(records).length} cache entries, skipped ${skipped}`);
+        return { imported: Object.keys(records).length, skipped };
+    }
+
+    /**
+     * NEW: Method to delete a specific cache entry
+     */
+    delete(key) {
+        if (this.cache[key]) {
+            this.remove([key]);
+            Logger.log(`Cache entry deleted: ${key}`);
+        }
+    }
+
+    /**
+     * Records reads from content scripts for LRU eviction
+     */
+    touch(keys) {
+        const now = Date.now();
+        for (const key of keys) {
+            if (!this.cache[key]) continue;
+            this.cache[key].lastAccess = now;
+            this.scheduleAccessFlush(key);
+        }
+    }
+
+    /**
+     * Tracks an entry in memory along with its approximate size
+     */
+    remember(key, record) {
+        this.forget(key);
+        const size = (CACHE_KEY_PREFIX.length + key.length + JSON.stringify(record).length) * 2;
+        this.cache[key] = record;
+        this.sizes[key] = size;
+        this.totalBytes += size;
+    }
+
+    forget(key) {
+        if (key in this.sizes) {
+            this.totalBytes -= this.sizes[key];
+            delete this.sizes[key];
+        }
+        delete this.cache[key];
+        this.accessedKeys.delete(key);
+    }
+
+    async remove(keys) {
+        if (keys.length === 0) return;
+        keys.forEach(key => this.forget(key));
+        try {
+            await chrome.storage.local.remove(keys.map(key => CACHE_KEY_PREFIX + key));
+        } catch (error) {
+            Logger.warn('Cache removal failed:', error.message);
+        }
+    }
+
+    /**
+     * Writes entries to storage, evicting old entries and retrying once if the quota is exceeded
+     */
+    async persist(records) {
+        const items = {};
+        for (const [key, record] of Object.entries(records)) {
+            items[CACHE_KEY_PREFIX + key] = record;
+        }
+
+        try {
+            await this.enforceLimits();
+            // Entries evicted right away must not be written back
+            Object.keys(records).filter(key => !this.cache[key]).forEach(key => delete items[CACHE_KEY_PREFIX + key]);
+            await chrome.storage.local.set(items);
+        } catch (error) {
+            Logger.warn('Cache saving failed, evicting entries:', error.message);
+            await this.evict(Math.ceil(Object.keys(this.cache).length * 0.1), Object.keys(records));
+            try {
+                await chrome.storage.local.set(items);
+            } catch (retryError) {
+                Logger.warn('Cache saving failed after eviction:', retryError.message);
+            }
+        }
+    }
+
+    /**
+     * Evicts least recently used entries until the cache fits the configured limits
+     */
+    async enforceLimits() {
+        const keys = Object.keys(this.cache);
+        const overCount = keys.length - CONFIG.CACHE_MAX_ENTRIES;
+        if (overCount <= 0 && this.totalBytes <= CONFIG.CACHE_MAX_BYTES) return;
+
+        const byAge = this.getKeysByEvictionOrder();
+        const evicted = [];
+        let bytes = this.totalBytes;
+        for (const key of byAge) {
+            if (keys.length - evicted.length <= CONFIG.CACHE_MAX_ENTRIES && bytes <= CONFIG.CACHE_MAX_BYTES) break;
+            evicted.push(key);
+            bytes -= this.sizes[key];
+        }
+        Logger.log(`Evicting ${evicted.length} cache entries`);
+        await this.remove(evicted);
+    }
+
+    async evict(count, keep = []) {
+        const victims = this.getKeysByEvictionOrder().filter(key => !keep.includes(key)).slice(0, count);
+        await this.remove(victims);
+    }
+
+    /**
+     * Eviction order: entries without a note first, so that caching a large list
+     * never pushes out notes, then least recently used first
+     */
+    getKeysByEvictionOrder() {
+        const hasNote = {};
+        for (const key of Object.keys(this.cache)) {
+            hasNote[key] = new CachedComment(this.cache[key]).hasContent() ? 1 : 0;
+        }
+        const lastAccess = key => this.cache[key].lastAccess || this.cache[key].timestamp;
+        return Object.keys(this.cache).sort((a, b) => (hasNote[a] - hasNote[b]) || (lastAccess(a) - lastAccess(b)));
+    }
+
+    /**
+     * Access times only matter for eviction, so they are written lazily in bulk
+     */
+    scheduleAccessFlush(key) {
+        this.accessedKeys.add(key);
+        if (this.accessFlushTimer) return;
+        this.accessFlushTimer = setTimeout(() => this.flushAccessTimes(), CONFIG.CACHE_ACCESS_FLUSH_DELAY);
+    }
+
+    flushAccessTimes() {
+        clearTimeout(this.accessFlushTimer);
+        this.accessFlushTimer = null;
+
+        const records = {};
+        for (const key of this.accessedKeys) {
+            if (this.cache[key]) records[key] = this.cache[key];
+        }
+        this.accessedKeys.clear();
+        if (Object.keys(records).length > 0) {
+            this.persist(records);
+        }
+    }
+}
+
+/**
+ * Error raised by API calls. Transient errors (rate limiting, server errors,
+ * network failures) are retried; once retries run out they are cached as an
+ * error status for CONFIG.ERROR_CACHE_AGE, never as a missing note.
+ */
+class ApiError extends Error {
+    constructor(message, { status = null, transient = false, privateList = false } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.transient = transient;
+        this.privateList = privateList; // The user's list is hidden from the requester
+    }
+}
+
+/**
+ * Enhanced API manager with silent error handling.
+ * There is a single instance for the whole browser, so the rate limit is global.
+ */
+class ApiManager {
+    static RATE_LIMIT_STATE_KEY = 'rateLimitState';
+
+    constructor(cacheManager, authManager) {
+        this.cacheManager = cacheManager;
+        this.authManager = authManager;
+        this.queue = []; // Sorted by REQUEST_PRIORITY, then by arrival
+        this.pendingRequests = new Map(); // requestKey -> queued or in-flight request
+        this.isProcessing = false;
+        this.requestCount = 0;
+        this.lastReset = Date.now();
+        this.pausedUntil = 0; // Set from Anilist's rate limit headers
+        this.resumeTimer = null;
+        this.backgroundTimer = null;
+    }
+
+    get isRateLimited() {
+        return Date.now() < this.pausedUntil || this.requestCount >= CONFIG.MAX_REQUESTS_PER_MINUTE;
+    }
+
+    /**
+     * Restores the rate limit state, since the service worker can be stopped at any time
+     */
+    async load() {
+        try {
+            const result = await chrome.storage.session.get(ApiManager.RATE_LIMIT_STATE_KEY);
+            const state = result[ApiManager.RATE_LIMIT_STATE_KEY];
+            if (state) {
+                this.requestCount = state.requestCount;
+                this.lastReset = state.lastReset;
+                this.pausedUntil = state.pausedUntil || 0;
+            }
+        } catch (error) {
+            Logger.warn('Rate limit state loading failed:', error.message);
+        }
+    }
+
+    saveRateLimitState() {
+        chrome.storage.session.set({
+            [ApiManager.RATE_LIMIT_STATE_KEY]: {
+                requestCount: this.requestCount,
+                lastReset: this.lastReset,
+                pausedUntil: this.pausedUntil
+            }
+        }).catch(error => Logger.warn('Rate limit state saving failed:', error.message));
+    }
+
+    /**
+     * Queues a fetch and resolves with { hasContent, failed, cancelled }.
+     * Callers asking for a user already queued or in flight share the same
+     * promise, and a more urgent caller moves the request up the queue.
+     */
+    queueRequest(username, mediaId, priority = REQUEST_PRIORITY.VISIBLE, tabId = null) {
+        return this.schedule({ username, mediaId, requestKey: cacheKey(username, mediaId) }, priority, tabId);
+    }
+
+    /**
+     * Queues a fetch of a user's whole anime or manga list and resolves with
+     * { failed, cancelled }. Lists are never batched with other requests.
+     */
+    queueList(username, listType, priority = REQUEST_PRIORITY.VISIBLE, tabId = null) {
+        const requestKey = `list:${username}-${listType}`;
+        return this.schedule({ username, mediaId: null, listType, requestKey, noBatch: true }, priority, tabId);
+    }
+
+    /**
+     * Queues a request, or joins the one already pending under the same key
+     */
+    schedule(fields, priority, tabId) {
+        const pending = this.pendingRequests.get(fields.requestKey);
+        if (pending) {
+            pending.tabIds.add(tabId);
+            if (priority < pending.priority) {
+                pending.priority = priority;
+                const index = this.queue.indexOf(pending);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    this.enqueue(pending);
+                }
+            }
+            return pending.promise;
+        }
+
+        const request = { ...fields, priority, tabIds: new Set([tabId]), attempts: 0 };
+        request.promise = new Promise((resolve) => {
+            request.resolve = resolve;
+        });
+        this.pendingRequests.set(request.requestKey, request);
+        this.enqueue(request);
+        return request.promise;
+    }
+
+    /**
+     * Queues a background refresh of an entry that is about to expire. Runs only
+     * when nothing more urgent is waiting and within CONFIG.REVALIDATE_BUDGET.
+     */
+    revalidate(username, mediaId, tabId = null) {
+        if (this.pendingRequests.has(cacheKey(username, mediaId))) return;
+
+        const queued = this.queue.filter(request => request.priority === REQUEST_PRIORITY.BACKGROUND);
+        if (queued.length >= CONFIG.REVALIDATE_MAX_QUEUE) {
+            this.cancelRequest(queued[0]); // Oldest first: probably from a page no longer open
+        }
+        this.queueRequest(username, mediaId, REQUEST_PRIORITY.BACKGROUND, tabId);
+    }
+
+    /**
+     * Drops the requests a tab no longer needs, e.g. after it navigated away from
+     * a media page. Requests that other tabs still wait for are kept.
+     */
+    cancel(tabId, keepMediaId = null) {
+        for (const request of [...this.pendingRequests.values()]) {
+            const kept = keepMediaId !== null && request.mediaId === keepMediaId;
+            if (kept || !request.tabIds.delete(tabId) || request.tabIds.size > 0) continue;
+            this.cancelRequest(request);
+        }
+    }
+
+    /**
+     * Resolves a request as cancelled. A request already in flight is aborted
+     * once every request sharing its batch has been cancelled.
+     */
+    cancelRequest(request) {
+        request.cancelled = true;
+        const index = this.queue.indexOf(request);
+        if (index !== -1) this.queue.splice(index, 1);
+        if (this.pendingRequests.get(request.requestKey) === request) {
+            this.pendingRequests.delete(request.requestKey);
+        }
+        request.resolve({ hasContent: false, failed: false, cancelled: true });
+
+        if (request.controller && request.batch.every(batched => batched.cancelled)) {
+            Logger.log(`Aborting request ${request.requestKey}`);
+            request.controller.abort();
+        }
+    }
+
+    /**
+     * Inserts a request behind every request at least as urgent (in front of
+     * them with `atFront`) and makes sure the queue is being processed
+     */
+    enqueue(request, atFront = false) {
+        let index = this.queue.findIndex(queued =>
+            atFront ? queued.priority >= request.priority : queued.priority > request.priority
+        );
+        if (index === -1) index = this.queue.length;
+        this.queue.splice(index, 0, request);
+
+        if (!this.isProcessing) {
+            this.isProcessing = true;
+            // Defer so users queued in the same pass end up in one batch
+            setTimeout(() => this.processQueue(), 0);
+        }
+    }
+
+    async processQueue() {
+        this.isProcessing = true;
+
+        while (this.queue.length > 0) {
+            // The queue is sorted, so a background refresh at the head means nothing else is waiting
+            if (this.queue[0].priority === REQUEST_PRIORITY.BACKGROUND) {
+                const wait = this.getSpareBudgetWait();
+                if (wait > 0) {
+                    this.scheduleBackgroundResume(wait);
+                    break;
+                }
+            }
+
+            if (!this.checkRateLimit()) {
+                this.scheduleResume();
+                return;
+            }
+
+            // A batch costs a single request against the rate limit
+            const batch = this.takeBatch();
+            if (batch.length > 1) {
+                await this.processBatch(batch);
+            } else if (batch.length === 1) {
+                await this.processRequest(batch[0]);
+            }
+
+            if (this.queue.length > 0) {
+                await this.delay(CONFIG.BATCH_DELAY);
+            }
+        }
+        this.isProcessing = false;
+    }
+
+    /**
+     * Milliseconds until background refreshes fit in CONFIG.REVALIDATE_BUDGET, 0 if they fit now
+     */
+    getSpareBudgetWait() {
+        const now = Date.now();
+        const windowOver = now - this.lastReset > CONFIG.RATE_LIMIT_DURATION;
+        const used = windowOver ? 0 : this.requestCount;
+        if (now >= this.pausedUntil && used < CONFIG.MAX_REQUESTS_PER_MINUTE * CONFIG.REVALIDATE_BUDGET) return 0;
+
+        const windowEnd = windowOver ? now : this.lastReset + CONFIG.RATE_LIMIT_DURATION;
+        return Math.max(windowEnd, this.pausedUntil) - now;
+    }
+
+    /**
+     * Runs the background refreshes later. A more urgent request restarts the
+     * queue in the meantime, and the timer then finds it already running.
+     */
+    scheduleBackgroundResume(wait) {
+        clearTimeout(this.backgroundTimer);
+        this.backgroundTimer = setTimeout(() => {
+            if (this.isProcessing) return;
+            this.processQueue();
+        }, wait);
+        Logger.log(`Background refreshes wait ${Math.round(wait / 1000)}s for spare budget`);
+    }
+
+    /**
+     * Resumes the queue once the local window resets or Anilist's pause ends
+     */
+    scheduleResume() {
+        const windowEnd = this.requestCount >= CONFIG.MAX_REQUESTS_PER_MINUTE
+            ? this.lastReset + CONFIG.RATE_LIMIT_DURATION
+            : 0;
+        const wait = Math.max(windowEnd, this.pausedUntil) - Date.now();
+
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => this.processQueue(), Math.max(wait, CONFIG.BATCH_DELAY));
+        Logger.log(`Queue paused for ${Math.round(wait / 1000)}s`);
+    }
+
+    /**
+     * Takes the next request off the queue together with the following
+     * batchable requests of the same priority, whatever their media, up to
+     * CONFIG.BATCH_SIZE. Background refreshes never ride along with more
+     * urgent requests, so they stay within their spare budget.
+     */
+    takeBatch() {
+        const head = this.queue.shift();
+        // Add check if request is null (can happen in race conditions)
+        if (!head) return [];
+        if (head.noBatch) return [head];
+
+        const batch = [head];
+        for (let i = 0; i < this.queue.length && batch.length < CONFIG.BATCH_SIZE;) {
+            const request = this.queue[i];
+            if (!request.noBatch && request.priority <= head.priority) {
+                batch.push(request);
+                this.queue.splice(i, 1);
+            } else {
+                i++;
+            }
+        }
+        return batch;
+    }
+
+    async processBatch(batch) {
+        const controller = this.track(batch);
+        let result;
+        try {
+            result = await this.fetchBatchComments(batch, controller.signal);
+        } catch (error) {
+            if (batch.every(request => request.cancelled)) return; // Aborted, see cancelRequest()
+            if (error.transient) {
+                // The same failure would hit single requests too, so retry the whole batch
+                Logger.warn(`Batch request for ${batch.length} entries failed: ${error.message}`);
+                batch.forEach(request => this.retryOrFail(request, error));
+                return;
+            }
+            Logger.warn(`Batch request failed for ${batch.length} entries, falling back to single requests: ${error.message}`);
+            // Put the users back at the front of the queue, one request each,
+            // leaving out those cancelled while the batch was in flight
+            batch.filter(request => !request.cancelled).reverse().forEach(request => {
+                request.noBatch = true;
+                this.enqueue(request, true);
+            });
+            return;
+        }
+
+        batch.forEach((request, i) => {
+            this.completeRequest(request, result.entries[i], result.privateIndexes.has(i) ? NOTE_STATUS.PRIVATE : null);
+        });
+    }
+
+    async processRequest(request) {
+        if (request.listType) {
+            await this.processList(request);
+            return;
+        }
+
+        const controller = this.track([request]);
+        try {
+            const entry = await this.fetchUserComment(request.username, request.mediaId, controller.signal);
+            this.completeRequest(request, entry);
+        } catch (error) {
+            if (request.cancelled) return; // Aborted, see cancelRequest()
+            Logger.warn(`API request failed for ${request.username}: ${error.message}`);
+            if (error.transient) {
+                this.retryOrFail(request, error);
+            } else if (error.privateList) {
+                this.completeRequest(request, null, NOTE_STATUS.PRIVATE);
+            } else {
+                this.failRequest(request);
+            }
+        }
+    }
+
+    async processList(request) {
+        const controller = this.track([request]);
+        try {
+            const entries = await this.fetchListEntries(request.username, request.listType, controller.signal);
+            this.cacheManager.setMany(entries.map(entry => ({
+                key: cacheKey(request.username, entry.mediaId),
+                content: entry.notes,
+                details: ApiManager.toDetails(entry)
+            })));
+            Logger.log(`Cached ${entries.length} list entries of ${request.username}`);
+            this.forgetRequest(request);
+            request.resolve({ failed: false, cancelled: false });
+        } catch (error) {
+            if (request.cancelled) return; // Aborted, see cancelRequest()
+            Logger.warn(`List fetch failed for ${request.username}: ${error.message}`);
+            if (error.transient) {
+                this.retryOrFail(request, error);
+            } else {
+                this.failRequest(request);
+            }
+        }
+    }
+
+    /**
+     * Gives the requests about to be sent a shared AbortController
+     */
+    track(batch) {
+        const controller = new AbortController();
+        batch.forEach(request => {
+            request.batch = batch;
+            request.controller = controller;
+        });
+        return controller;
+    }
+
+    /**
+     * Re-queues a request after an exponential backoff, or gives up once
+     * CONFIG.MAX_RETRIES is reached and caches the failure (see failRequest)
+     */
+    retryOrFail(request, error) {
+        request.attempts++;
+        if (request.attempts > CONFIG.MAX_RETRIES) {
+            Logger.warn(`Giving up on ${request.username} after ${CONFIG.MAX_RETRIES} retries`);
+            this.failRequest(request);
+            return;
+        }
+
+        const backoff = Math.min(CONFIG.RETRY_BASE_DELAY * 2 ** (request.attempts - 1), CONFIG.RETRY_MAX_DELAY);
+        const jitter = Math.random() * CONFIG.RETRY_BASE_DELAY;
+        // A 429 already paused the queue until the reset time, which the backoff should not undercut
+        const wait = Math.max(backoff + jitter, this.pausedUntil - Date.now());
+        Logger.log(`Retrying ${request.username} in ${Math.round(wait)}ms (attempt ${request.attempts}, ${error.message})`);
+
+        setTimeout(() => {
+            if (!request.cancelled) this.enqueue(request, true);
+        }, wait);
+    }
+
+    /**
+     * Stores the fetched list entry and notifies every requester. Entries of
+     * cancelled requests that completed anyway are still cached.
+     */
+    completeRequest(request, entry, status = null) {
+        const { username, mediaId } = request;
+        const comment = entry?.notes || '';
+        this.cacheManager.set(cacheKey(username, mediaId), comment, ApiManager.toDetails(entry), status);
+        this.forgetRequest(request);
+
+        const hasContent = Boolean(comment && comment.trim() !== '');
+        request.resolve({ hasContent, failed: false, cancelled: false });
+    }
+
+    /**
+     * Notifies requesters of a failure, which is cached for ERROR_CACHE_AGE
+     * unless a note was cached before
+     */
+    failRequest(request) {
+        if (!request.listType) this.cacheManager.setError(request.requestKey);
+        this.forgetRequest(request);
+        request.resolve({ hasContent: false, failed: true, cancelled: false });
+    }
+
+    /**
+     * A cancelled request's key may already belong to a newer request
+     */
+    forgetRequest(request) {
+        if (this.pendingRequests.get(request.requestKey) === request) {
+            this.pendingRequests.delete(request.requestKey);
+        }
+    }
+
+    /**
+     * Public function for manual refresh from the tooltip. The refresh goes
+     * through the queue ahead of page loads, and shares a request already
+     * queued or in flight for the same entry. The queue never answers from the
+     * cache, so nothing has to be bypassed.
+     * Open tooltips pick up the new entry through the cache mirror.
+     */
+    async refreshComment(username, mediaId, tabId = null) {
+        const result = await this.queueRequest(username, mediaId, REQUEST_PRIORITY.HOVER, tabId);
+        if (result.cancelled || result.failed) {
+            return this.isRateLimited ? 'rate_limited' : 'error';
+        }
+        return 'success';
+    }
+
+    /**
+     * Caches every entry of a user's anime or manga list with one MediaListCollection
+     * query, sent through the queue. Resolves with 'success', 'cancelled',
+     * 'rate_limited' or 'error'.
+     */
+    async fetchList(username, type, tabId = null) {
+        const result = await this.queueList(username, type, REQUEST_PRIORITY.VISIBLE, tabId);
+        if (result.cancelled) return 'cancelled';
+        if (result.failed) return this.isRateLimited ? 'rate_limited' : 'error';
+        return 'success';
+    }
+
+    /**
+     * Saves the logged-in user's note for a media they already have on their list.
+     * Unless forced, the save is refused with 'conflict' when the note on Anilist
+     * no longer matches `baseContent`, the version the user started editing from.
+     * Forced or not, it is refused with 'not_on_list' once the entry is gone.
+     */
+    async saveNote(mediaId, notes, baseContent, force = false) {
+        const viewer = this.authManager.getToken() ? this.authManager.viewer : null;
+        if (!viewer) return { status: 'not_authenticated' };
+
+        const key = cacheKey(viewer.name, mediaId);
+        try {
+            // SaveMediaListEntry would create a missing entry, so this check also runs when forced
+            if (!this.checkRateLimit()) return { status: 'rate_limited' };
+            const current = await this.fetchUserComment(viewer.name, mediaId);
+            if (!current) return { status: 'not_on_list' };
+
+            const serverContent = current.notes || '';
+            if (!force && serverContent !== (baseContent || '')) {
+                this.cacheManager.set(key, serverContent, ApiManager.toDetails(current));
+                return { status: 'conflict', serverContent };
+            }
+
+            if (!this.checkRateLimit()) return { status: 'rate_limited' };
+            const mutation = `
+                mutation ($mediaId: Int, $notes: String) {
+                    SaveMediaListEntry(mediaId: $mediaId, notes: $notes) {
+                        ${MEDIA_LIST_FIELDS}
+                    }
+                }
+            `;
+            const data = await this.graphqlRequest(mutation, { mediaId: parseInt(mediaId), notes });
+            const entry = data.data?.SaveMediaListEntry;
+            if (data.errors || !entry) throw new ApiError('GraphQL errors', { status: data.status });
+
+            this.cacheManager.set(key, entry.notes || '', ApiManager.toDetails(entry));
+            return { status: 'saved' };
+        } catch (error) {
+            Logger.error("Note saving failed:", error.message);
+            return { status: error.status === 429 ? 'rate_limited' : 'error' };
+        }
+    }
+
+    checkRateLimit() {
+        const now = Date.now();
+        if (now < this.pausedUntil) {
+            return false;
+        }
+        if (now - this.lastReset > CONFIG.RATE_LIMIT_DURATION) {
+            this.requestCount = 0;
+            this.lastReset = now;
+        }
+        if (this.requestCount >= CONFIG.MAX_REQUESTS_PER_MINUTE) {
+            return false;
+        }
+        this.requestCount++;
+        this.saveRateLimitState();
+        return true;
+    }
+
+    /**
+     * Pauses the queue according to Anilist's rate limit headers.
+     * X-RateLimit-Reset is a unix timestamp in seconds, Retry-After a delay in seconds.
+     */
+    updateRateLimit(response) {
+        const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'));
+        const reset = parseInt(response.headers.get('X-RateLimit-Reset'));
+        const retryAfter = parseInt(response.headers.get('Retry-After'));
+
+        let pauseUntil = 0;
+        if (response.status === 429) {
+            if (Number.isFinite(retryAfter)) {
+                pauseUntil = Date.now() + retryAfter * 1000;
+            } else if (Number.isFinite(reset)) {
+                pauseUntil = reset * 1000;
+            } else {
+                pauseUntil = Date.now() + CONFIG.RATE_LIMIT_DURATION;
+            }
+        } else if (remaining === 0 && Number.isFinite(reset)) {
+            pauseUntil = reset * 1000;
+        }
+
+        if (pauseUntil > this.pausedUntil) {
+            this.pausedUntil = pauseUntil;
+            this.saveRateLimitState();
+            Logger.warn(`Anilist rate limit reached, pausing until ${new Date(pauseUntil).toLocaleTimeString()}`);
+        }
+    }
+
+    /**
+     * Sends a GraphQL request. Resolves with the parsed body, which may still carry
+     * `errors`; rejects with a transient ApiError on rate limiting, server or network errors.
+     */
+    async graphqlRequest(query, variables, signal = null) {
+        const headers = { "Content-Type": "application/json", "Accept": "application/json" };
+        const token = this.authManager.getToken();
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch("https://graphql.anilist.co", {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ query, variables }),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw new ApiError('Request cancelled');
+            throw new ApiError(`Network error: ${error.message}`, { transient: true });
+        }
+
+        this.updateRateLimit(response);
+        if (response.status === 401 && token) {
+            // Revoked or expired token: drop it and let the retry go out anonymously
+            await this.authManager.logout();
+            throw new ApiError('Access token rejected', { status: 401, transient: true });
+        }
+        if (response.status === 429 || response.status >= 500) {
+            throw new ApiError(`HTTP ${response.status}`, { status: response.status, transient: true });
+        }
+
+        const data = await response.json().catch(() => null);
+        if (!data) throw new ApiError(`HTTP ${response.status}`, { status: response.status });
+        data.status = response.status;
+        return data;
+    }
+
+    /**
+     * Flattens a MediaList response into the details stored in the cache
+     */
+    static toDetails(entry) {
+        if (!entry) return null;
+        return {
+            score: entry.score,
+            scoreFormat: entry.user?.mediaListOptions?.scoreFormat || null,
+            status: entry.status,
+            progress: entry.progress,
+            progressVolumes: entry.progressVolumes,
+            repeat: entry.repeat,
+            startedAt: entry.startedAt,
+            completedAt: entry.completedAt,
+            updatedAt: entry.updatedAt,
+            mediaType: entry.media?.type || null,
+            episodes: entry.media?.episodes || null,
+            chapters: entry.media?.chapters || null,
+            title: entry.media?.title?.userPreferred || null
+        };
+    }
+
+    /**
+     * Fetches one user's list entry; resolves with null when the user has no entry
+     */
+    async fetchUserComment(username, mediaId, signal = null) {
+        const query = `
+            query ($userName: String, $mediaId: Int) {
+                MediaList(userName: $userName, mediaId: $mediaId) {
+                    ${MEDIA_LIST_FIELDS}
+                }
+            }
+        `;
+        const variables = { userName: username, mediaId: parseInt(mediaId) };
+        const data = await this.graphqlRequest(query, variables, signal);
+        if ((data.errors || []).some(ApiManager.isPrivateError)) {
+            throw new ApiError('Private list', { status: data.status, privateList: true });
+        }
+        if (data.status === 404) return null;
+        if (data.errors) throw new ApiError('GraphQL errors', { status: data.status });
+        return data.data?.MediaList || null;
+    }
+
+    /**
+     * Fetches all entries of a user's list. An entry in several custom lists
+     * comes back once per list, so entries are deduplicated by media.
+     */
+    async fetchListEntries(username, type, signal = null) {
+        const query = `
+            query ($userName: String, $type: MediaType) {
+                MediaListCollection(userName: $userName, type: $type) {
+                    lists {
+                        entries {
+                            mediaId
+                            ${MEDIA_LIST_FIELDS}
+                        }
+                    }
+                }
+            }
+        `;
+        const data = await this.graphqlRequest(query, { userName: username, type }, signal);
+        if (data.errors || !data.data?.MediaListCollection) throw new ApiError('GraphQL errors', { status: data.status });
+
+        const entries = new Map();
+        for (const list of data.data.MediaListCollection.lists || []) {
+            for (const entry of list.entries || []) {
+                entries.set(entry.mediaId, entry);
+            }
+        }
+        return [...entries.values()];
+    }
+
+    /**
+     * Anilist answers "Private User" for users whose list is hidden from the requester
+     */
+    static isPrivateError(error) {
+        return /private/i.test(error?.message || '');
+    }
+
+    /**
+     * Fetches the list entries of several (user, media) pairs with one aliased query.
+     * Resolves with { entries: entry | null per pair, privateIndexes: Set of pair indexes }.
+     * Users without an entry or with a private list come back as null aliases with
+     * an error naming the alias, which is not a failure of the batch itself.
+     */
+    async fetchBatchComments(pairs, signal = null) {
+        const variableDefs = pairs.map((_, i) => `$u${i}: String, $m${i}: Int`).join(', ');
+        const fields = pairs
+            .map((_, i) => `u${i}: MediaList(userName: $u${i}, mediaId: $m${i}) { ${MEDIA_LIST_FIELDS} }`)
+            .join('\n');
+        const query = `query (${variableDefs}) {\n${fields}\n}`;
+
+        const variables = {};
+        pairs.forEach(({ username, mediaId }, i) => {
+            variables[`u${i}`] = username;
+            variables[`m${i}`] = parseInt(mediaId);
+        });
+
+        const data = await this.graphqlRequest(query, variables, signal);
+        if (!data.data) throw new ApiError(`HTTP ${data.status}`, { status: data.status });
+
+        const privateAliases = new Set();
+        for (const error of data.errors || []) {
+            if (ApiManager.isPrivateError(error) && error.path?.[0]) {
+                privateAliases.add(error.path[0]);
+            } else if (error.status !== 404) {
+                throw new ApiError('GraphQL errors', { status: data.status });
+            }
+        }
+
+        const entries = pairs.map((_, i) => data.data[`u${i}`] || null);
+        const privateIndexes = new Set(pairs.map((_, i) => i).filter(i => privateAliases.has(`u${i}`)));
+        return { entries, privateIndexes };
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+/**
+ * Optional Anilist login through the OAuth implicit grant.
+ *
+ * The access token is kept in chrome.storage.local so the login survives
+ * browser restarts. The extension's own content scripts can read that storage
+ * too, but only this worker sends the token, and only to Anilist. Anilist
+ * pages themselves have no access to it.
+ */
+class AuthManager {
+    static TOKEN_STORAGE_KEY = 'authToken';
+
+    constructor() {
+        this.token = null;
+        this.expiresAt = 0;
+        this.viewer = null;
+        this.onChange = null; // Called after login and logout
+    }
+
+    async load() {
+        try {
+            const result = await chrome.storage.local.get([AuthManager.TOKEN_STORAGE_KEY, VIEWER_STORAGE_KEY]);
+            const stored = result[AuthManager.TOKEN_STORAGE_KEY];
+            if (stored && stored.expiresAt > Date.now()) {
+                this.token = stored.token;
+                this.expiresAt = stored.expiresAt;
+                this.viewer = result[VIEWER_STORAGE_KEY] || null;
+            } else if (stored) {
+                await this.logout();
+            }
+        } catch (error) {
+            Logger.warn('Auth state loading failed:', error.message);
+        }
+    }
+
+    getToken() {
+        if (this.token && Date.now() >= this.expiresAt) {
+            // logout() clears the token right away; only the storage cleanup is left running
+            this.logout().catch(error => Logger.error('Logout of the expired token failed:', error.message));
+        }
+        return this.token;
+    }
+
+    async getStatus() {
+        return {
+            viewer: this.token ? this.viewer : null,
+            expiresAt: this.token ? this.expiresAt : null,
+            redirectUrl: chrome.identity.getRedirectURL()
+        };
+    }
+
+    /**
+     * Opens Anilist's authorization page and stores the returned access token
+     */
+    async login(clientId) {
+        if (!/^\d+$/.test(String(clientId || ''))) {
+            throw new Error('A numeric Anilist API client ID is required');
+        }
+        await chrome.storage.sync.set({ [AUTH_CLIENT_ID_STORAGE_KEY]: String(clientId) });
+
+        const authUrl = `https://anilist.co/api/v2/oauth/authorize?client_id=${encodeURIComponent(clientId)}&response_type=token`;
+        const redirect = await chrome.identity.launchWebAuthFlow({ url: authUrl, interactive: true });
+
+        // The token comes back in the fragment: #access_token=...&token_type=Bearer&expires_in=...
+        const params = new URLSearchParams(new URL(redirect).hash.slice(1));
+        const token = params.get('access_token');
+        if (!token) {
+            throw new Error(params.get('error_description') || 'No access token returned');
+        }
+
+        const expiresIn = parseInt(params.get('expires_in')) || 365 * 24 * 60 * 60;
+        const viewer = await this.fetchViewer(token);
+
+        this.token = token;
+        this.viewer = viewer;
+        this.expiresAt = Date.now() + expiresIn * 1000;
+        await chrome.storage.local.set({
+            [AuthManager.TOKEN_STORAGE_KEY]: { token, expiresAt: this.expiresAt },
+            [VIEWER_STORAGE_KEY]: viewer
+        });
+        Logger.log(`Logged in as ${viewer.name}`);
+        if (this.onChange) await this.onChange();
+        return viewer;
+    }
+
+    async logout() {
+        const wasLoggedIn = Boolean(this.token);
+        this.token = null;
+        this.viewer = null;
+        this.expiresAt = 0;
+        await chrome.storage.local.remove([AuthManager.TOKEN_STORAGE_KEY, VIEWER_STORAGE_KEY]);
+        if (wasLoggedIn && this.onChange) await this.onChange();
+    }
+
+    /**
+     * Identifies the token's owner, so their own entries can be recognized
+     */
+    async fetchViewer(token) {
+        const response = await fetch("https://graphql.anilist.co", {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "Accept": "application/json",
+                "Authorization": `Bearer ${token}`
+            },
+            body: JSON.stringify({ query: 'query { Viewer { id name avatar { medium } } }' })
+        });
+        const data = await response.json().catch(() => null);
+        const viewer = data?.data?.Viewer;
+        if (!response.ok || !viewer) {
+            throw new Error(`Could not identify the logged-in user (HTTP ${response.status})`);
+        }
+        return { id: viewer.id, name: viewer.name, avatar: viewer.avatar?.medium || null };
+    }
+}
+
+/**
+ * Background worker: wires the managers together and answers content script messages
+ */
+class BackgroundWorker {
+    constructor() {
+        this.cacheManager = new CacheManager();
+        this.authManager = new AuthManager();
+        this.apiManager = new ApiManager(this.cacheManager, this.authManager);
+        this.ready = this.init();
+
+        // Logging in or out changes which lists are visible, so "no comment" answers are stale
+        this.authManager.onChange = () => this.cacheManager.purgeNegatives();
+
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (!message || !Object.values(MESSAGES).includes(message.type)) return false;
+
+            this.ready
+                .then(() => this.handleMessage(message, sender))
+                .then(sendResponse, (error) => {
+                    Logger.error(`Message ${message.type} failed:`, error.message);
+                    sendResponse({ error: error.message });
+                });
+            return true; // Keep the channel open for the async response
+        });
+
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.ready.then(() => this.apiManager.cancel(tabId));
+        });
+
+        chrome.action.onClicked.addListener(() => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('notes.html') });
+        });
+    }
+
+    async init() {
+        await Settings.load();
+        Settings.watch((changedKeys) => {
+            if (changedKeys.includes('CACHE_MAX_ENTRIES') || changedKeys.includes('CACHE_MAX_BYTES')) {
+                this.cacheManager.enforceLimits();
+            }
+        });
+        await Promise.all([this.cacheManager.load(), this.apiManager.load(), this.authManager.load()]);
+        Logger.log("Background worker ready");
+    }
+
+    async handleMessage(message, sender) {
+        const tabId = sender?.tab?.id ?? null;
+        switch (message.type) {
+            case MESSAGES.QUEUE_REQUEST: {
+                const priority = Object.values(REQUEST_PRIORITY).includes(message.priority) ? message.priority : REQUEST_PRIORITY.VISIBLE;
+                const result = await this.apiManager.queueRequest(message.username, message.mediaId, priority, tabId);
+                return { ...result, isRateLimited: this.apiManager.isRateLimited };
+            }
+            case MESSAGES.CANCEL_REQUESTS:
+                this.apiManager.cancel(tabId, message.keepMediaId ?? null);
+                return { ok: true };
+            case MESSAGES.REFRESH_COMMENT: {
+                const status = await this.apiManager.refreshComment(message.username, message.mediaId, tabId);
+                return { status, isRateLimited: this.apiManager.isRateLimited };
+            }
+            case MESSAGES.REVALIDATE:
+                this.apiManager.revalidate(message.username, message.mediaId, tabId);
+                return { ok: true };
+            case MESSAGES.FETCH_LIST: {
+                const status = await this.apiManager.fetchList(message.username, message.listType, tabId);
+                return { status, isRateLimited: this.apiManager.isRateLimited };
+            }
+            case MESSAGES.SAVE_NOTE:
+                return this.apiManager.saveNote(message.mediaId, message.notes, message.baseContent, message.force);
+            case MESSAGES.SAVE_TRANSLATION:
+                this.cacheManager.setTranslation(message.key, message.translation);
+                return { ok: true };
+            case MESSAGES.EXPORT_CACHE:
+                return { entries: this.cacheManager.exportEntries() };
+            case MESSAGES.IMPORT_CACHE:
+                return this.cacheManager.importEntries(message.entries);
+            case MESSAGES.MARK_READ:
+                this.cacheManager.markRead(message.key, message.readHash);
+                return { ok: true };
+            case MESSAGES.TOUCH_CACHE:
+                this.cacheManager.touch(message.keys);
+                return { ok: true };
+            case MESSAGES.MIGRATE_LEGACY_CACHE:
+                await this.cacheManager.migrateLegacy(message.entries);
+                return { ok: true };
+            case MESSAGES.AUTH_LOGIN: {
+                const viewer = await this.authManager.login(message.clientId);
+                return { viewer };
+            }
+            case MESSAGES.AUTH_LOGOUT:
+                await this.authManager.logout();
+                return { ok: true };
+            case MESSAGES.AUTH_STATUS:
+                return this.authManager.getStatus();
+            default:
+                return { error: `Unknown message ${message.type}` };
+        }
+    }
+}
+
+new BackgroundWorker();
@@ -0,0 +1,452 @@
+/**
+ * Anilist Hover Comments - Shared configuration
+ *
+ * Configuration, user settings, logging and cache entry helpers shared by
+ * the content script, the options page and the background service worker.
+ *
+ * @author ExAstra
+ * @see https://github.com/rikymarche-ctrl/anilist-extension
+ */
+
+/**
+ * Configuration constants for application behavior
+ */
+const ANILIST_API_RATE_LIMIT = 90; // Official Anilist limit
+
+const CONFIG = {
+    CACHE_MAX_AGE: 2 * 24 * 60 * 60 * 1000, // 48 hours
+    NEGATIVE_CACHE_AGE: 60 * 60 * 1000, // 1 hour, for users without a note or entry
+    PRIVATE_CACHE_AGE: 24 * 60 * 60 * 1000, // Lists rarely go public again
+    ERROR_CACHE_AGE: 5 * 60 * 1000,
+    MAX_REQUESTS_PER_MINUTE: ANILIST_API_RATE_LIMIT / 2,
+    RATE_LIMIT_DURATION: 60000,
+    BATCH_DELAY: 200,
+    BATCH_SIZE: 25, // Max users per aliased GraphQL query
+    MAX_RETRIES: 3, // Retries for rate limited, server and network errors
+    RETRY_BASE_DELAY: 2000, // Doubled on every retry
+    RETRY_MAX_DELAY: 60000,
+    REVALIDATE_AFTER: 0.75, // Share of an entry's lifetime after which it is refreshed in the background
+    REVALIDATE_BUDGET: 0.5, // Share of the request budget background refreshes may use
+    REVALIDATE_MAX_QUEUE: 100,
+    TOOLTIP_SHOW_DELAY: 50,
+    TOOLTIP_HIDE_DELAY: 1000,
+    TOOLTIP_WIDTH: 265,
+    TRIGGER_MODE: 'hover', // 'hover' or 'click'
+    THEME: 'auto', // 'auto' (follow Anilist), 'light', 'dark' or 'contrast'
+    LONG_PRESS_DELAY: 500, // Touch: holding a row opens its tooltip
+    BOTTOM_SHEET_MAX_WIDTH: 600, // Narrower viewports show the tooltip as a bottom sheet
+    SPOILER_GUARD: true, // Blur notes by users further ahead than you
+    SPOILER_USERNAME: '', // Whose progress to compare with; the logged-in user when empty
+    NOTE_HISTORY_SIZE: 5, // Previous versions kept per note
+    CACHE_MAX_ENTRIES: 5000,
+    CACHE_MAX_BYTES: 4 * 1024 * 1024, // chrome.storage.local allows 10MB in total
+    CACHE_ACCESS_FLUSH_DELAY: 5000,
+    DOM_UPDATE_DELAY: 100, // Coalesces bursts of page mutations into one pass
+    DEBUG_MODE: false
+};
+
+/**
+ * User-editable subset of CONFIG, as shown on the options page.
+ * Types are number, boolean, select and text. Numbers are stored in CONFIG
+ * units; `scale` converts them to the displayed unit.
+ */
+const SETTINGS_SCHEMA = {
+    TRIGGER_MODE: {
+        label: 'Open tooltip on',
+        type: 'select',
+        options: { hover: 'Hover', click: 'Click' }
+    },
+    THEME: {
+        label: 'Tooltip theme',
+        type: 'select',
+        options: { auto: 'Same as Anilist', light: 'Light', dark: 'Dark', contrast: 'High contrast' }
+    },
+    TOOLTIP_WIDTH: {
+        label: 'Tooltip width',
+        type: 'number',
+        unit: 'px',
+        scale: 1,
+        min: 200,
+        max: 600
+    },
+    TOOLTIP_SHOW_DELAY: {
+        label: 'Show delay',
+        type: 'number',
+        unit: 'ms',
+        scale: 1,
+        min: 0,
+        max: 2000
+    },
+    TOOLTIP_HIDE_DELAY: {
+        label: 'Hide delay',
+        type: 'number',
+        unit: 'ms',
+        scale: 1,
+        min: 0,
+        max: 5000
+    },
+    CACHE_MAX_AGE: {
+        label: 'Keep comments cached for',
+        type: 'number',
+        unit: 'hours',
+        scale: 60 * 60 * 1000,
+        min: 1,
+        max: 24 * 30
+    },
+    NEGATIVE_CACHE_AGE: {
+        label: 'Re-check users without comments after',
+        type: 'number',
+        unit: 'minutes',
+        scale: 60 * 1000,
+        min: 5,
+        max: 60 * 24 * 7
+    },
+    PRIVATE_CACHE_AGE: {
+        label: 'Re-check private lists after',
+        type: 'number',
+        unit: 'hours',
+        scale: 60 * 60 * 1000,
+        min: 1,
+        max: 24 * 30
+    },
+    ERROR_CACHE_AGE: {
+        label: 'Retry failed requests after',
+        type: 'number',
+        unit: 'minutes',
+        scale: 60 * 1000,
+        min: 1,
+        max: 60 * 24
+    },
+    CACHE_MAX_ENTRIES: {
+        label: 'Max cached comments',
+        type: 'number',
+        unit: 'entries',
+        scale: 1,
+        min: 100,
+        max: 50000
+    },
+    CACHE_MAX_BYTES: {
+        label: 'Max cache size',
+        type: 'number',
+        unit: 'MB',
+        scale: 1024 * 1024,
+        min: 1,
+        max: 9
+    },
+    MAX_REQUESTS_PER_MINUTE: {
+        label: 'Max API requests per minute',
+        type: 'number',
+        unit: 'requests',
+        scale: 1,
+        min: 1,
+        max: ANILIST_API_RATE_LIMIT
+    },
+    SPOILER_GUARD: {
+        label: 'Hide notes from users further ahead than me',
+        type: 'boolean'
+    },
+    SPOILER_USERNAME: {
+        label: 'My Anilist username (when not logged in)',
+        type: 'text',
+        maxLength: 20
+    },
+    DEBUG_MODE: {
+        label: 'Debug logging in the console',
+        type: 'boolean'
+    }
+};
+
+/**
+ * What a cache entry says about a user's note
+ */
+const NOTE_STATUS = {
+    HAS_NOTE: 'has-note',
+    NO_NOTE: 'no-note', // On their list, without a note
+    NOT_ON_LIST: 'not-on-list',
+    PRIVATE: 'private', // Their list is hidden from us
+    ERROR: 'error' // The fetch failed; retried after ERROR_CACHE_AGE
+};
+
+/**
+ * Request priorities for the background queue, most urgent first
+ */
+const REQUEST_PRIORITY = {
+    HOVER: 0, // The user is waiting for this note
+    VISIBLE: 1, // Icons for the page being viewed
+    BACKGROUND: 2 // Refreshes of entries about to expire
+};
+
+/**
+ * Message types exchanged between content scripts and the background worker
+ */
+const MESSAGES = {
+    QUEUE_REQUEST: 'queueRequest',
+    REFRESH_COMMENT: 'refreshComment',
+    REVALIDATE: 'revalidate',
+    CANCEL_REQUESTS: 'cancelRequests',
+    FETCH_LIST: 'fetchList',
+    SAVE_NOTE: 'saveNote',
+    SAVE_TRANSLATION: 'saveTranslation',
+    MARK_READ: 'markRead',
+    EXPORT_CACHE: 'exportCache',
+    IMPORT_CACHE: 'importCache',
+    TOUCH_CACHE: 'touchCache',
+    MIGRATE_LEGACY_CACHE: 'migrateLegacyCache',
+    AUTH_LOGIN: 'authLogin',
+    AUTH_LOGOUT: 'authLogout',
+    AUTH_STATUS: 'authStatus'
+};
+
+/**
+ * The logged-in Anilist user ({ id, name, avatar }), absent when logged out
+ */
+const VIEWER_STORAGE_KEY = 'viewer';
+
+/**
+ * Client ID of the user's Anilist API client, kept in chrome.storage.sync
+ */
+const AUTH_CLIENT_ID_STORAGE_KEY = 'authClientId';
+
+/**
+ * Cache entries are stored in chrome.storage.local as `comment:<username>-<mediaId>`
+ */
+const CACHE_KEY_PREFIX = 'comment:';
+
+function cacheKey(username, mediaId) {
+    return `${username}-${mediaId}`;
+}
+
+/**
+ * Identifies files written by the options page's note export
+ */
+const EXPORT_FORMAT = 'anilist-hover-comments';
+const EXPORT_VERSION = 1;
+
+/**
+ * Splits a cache key back into its parts. Usernames may not contain '-',
+ * but split on the last one anyway to be safe.
+ */
+function parseCacheKey(key) {
+    const separator = key.lastIndexOf('-');
+    return {
+        username: key.slice(0, separator),
+        mediaId: parseInt(key.slice(separator + 1))
+    };
+}
+
+/**
+ * Short fingerprint of a note, to tell whether it changed since it was read (FNV-1a)
+ */
+function hashNote(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Sends a message to the background worker. Resolves with null when the
+ * worker is unreachable (e.g. the extension was reloaded under an open tab).
+ */
+async function sendToBackground(message) {
+    try {
+        return await chrome.runtime.sendMessage(message);
+    } catch (error) {
+        Logger.warn(`Message ${message.type} failed:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Silent logger that only shows output in debug mode
+ */
+class Logger {
+    static log(message, ...args) {
+        if (CONFIG.DEBUG_MODE) {
+            console.log(`[AnilistExt] ${message}`, ...args);
+        }
+    }
+    static warn(message, ...args) {
+        if (CONFIG.DEBUG_MODE) {
+            console.warn(`[AnilistExt] ${message}`, ...args);
+        }
+    }
+    static error(message, ...args) {
+        if (CONFIG.DEBUG_MODE) {
+            console.error(`[AnilistExt] ${message}`, ...args);
+        }
+    }
+}
+
+/**
+ * User settings persisted in chrome.storage.sync and applied onto CONFIG
+ */
+class Settings {
+    static STORAGE_KEY = 'settings';
+    static DEFAULTS = Object.fromEntries(Object.keys(SETTINGS_SCHEMA).map(key => [key, CONFIG[key]]));
+
+    /**
+     * Loads the stored settings and applies them to CONFIG
+     */
+    static async load() {
+        const stored = await Settings.getStored();
+        Settings.apply(stored);
+        return { ...Settings.DEFAULTS, ...stored };
+    }
+
+    static async getStored() {
+        try {
+            const result = await chrome.storage.sync.get(Settings.STORAGE_KEY);
+            return Settings.sanitize(result[Settings.STORAGE_KEY] || {});
+        } catch (error) {
+            Logger.warn('Settings loading failed:', error.message);
+            return {};
+        }
+    }
+
+    static async save(values) {
+        await chrome.storage.sync.set({ [Settings.STORAGE_KEY]: Settings.sanitize(values) });
+    }
+
+    static async reset() {
+        await chrome.storage.sync.remove(Settings.STORAGE_KEY);
+    }
+
+    /**
+     * Overwrites every user-editable CONFIG value, falling back to defaults
+     */
+    static apply(values) {
+        for (const key of Object.keys(SETTINGS_SCHEMA)) {
+            CONFIG[key] = key in values ? values[key] : Settings.DEFAULTS[key];
+        }
+    }
+
+    /**
+     * Calls back with the list of changed keys whenever settings change in any context
+     */
+    static watch(callback) {
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'sync' || !changes[Settings.STORAGE_KEY]) return;
+
+            const previous = { ...CONFIG };
+            Settings.apply(Settings.sanitize(changes[Settings.STORAGE_KEY].newValue || {}));
+            const changedKeys = Object.keys(SETTINGS_SCHEMA).filter(key => previous[key] !== CONFIG[key]);
+            if (changedKeys.length > 0) {
+                Logger.log('Settings changed:', changedKeys);
+                callback(changedKeys);
+            }
+        });
+    }
+
+    /**
+     * Drops unknown keys and clamps values to the schema
+     */
+    static sanitize(values) {
+        const clean = {};
+        for (const [key, value] of Object.entries(values || {})) {
+            const schema = SETTINGS_SCHEMA[key];
+            if (!schema) continue;
+
+            if (schema.type === 'number') {
+                const number = Number(value);
+                if (!Number.isFinite(number)) continue;
+                const min = schema.min * schema.scale;
+                const max = schema.max * schema.scale;
+                clean[key] = Math.min(Math.max(number, min), max);
+            } else if (schema.type === 'boolean') {
+                clean[key] = Boolean(value);
+            } else if (schema.type === 'select') {
+                if (value in schema.options) clean[key] = value;
+            } else if (schema.type === 'text') {
+                clean[key] = String(value ?? '').trim().slice(0, schema.maxLength);
+            }
+        }
+        return clean;
+    }
+}
+
+/**
+ * Cached comment with negative caching support
+ */
+class CachedComment {
+    constructor(data) {
+        this.content = data.content;
+        this.timestamp = data.timestamp;
+        this.details = data.details || null; // List entry metadata, null when the user has no entry
+        this.status = data.status || CachedComment.statusOf(this.content, this.details); // Entries cached before statuses existed have none
+        this.translation = data.translation || null; // { from, to, text } once translated
+        this.history = data.history || []; // Previous versions { content, timestamp }, newest first
+        this.readHash = data.readHash || null; // hashNote() of the version last opened
+    }
+
+    isEdited() {
+        return this.hasContent() && this.history.length > 0;
+    }
+
+    /**
+     * Whether the note changed since it was last opened. Notes never opened
+     * only count once they have been edited.
+     */
+    hasUnreadChanges() {
+        if (!this.hasContent()) return false;
+        return this.readHash ? this.readHash !== hashNote(this.content) : this.history.length > 0;
+    }
+
+    static statusOf(content, details) {
+        if (content && content.trim() !== '') return NOTE_STATUS.HAS_NOTE;
+        return details ? NOTE_STATUS.NO_NOTE : NOTE_STATUS.NOT_ON_LIST;
+    }
+
+    /**
+     * How long the entry stays fresh, which depends on its status
+     */
+    getMaxAge() {
+        switch (this.status) {
+            case NOTE_STATUS.HAS_NOTE: return CONFIG.CACHE_MAX_AGE;
+            case NOTE_STATUS.PRIVATE: return CONFIG.PRIVATE_CACHE_AGE;
+            case NOTE_STATUS.ERROR: return CONFIG.ERROR_CACHE_AGE;
+            default: return CONFIG.NEGATIVE_CACHE_AGE;
+        }
+    }
+
+    isValid() {
+        return this.getAge() < this.getMaxAge();
+    }
+
+    isNegativeCacheValid() {
+        if (this.hasContent()) return false;
+        return this.isValid();
+    }
+
+    hasContent() {
+        return this.content && this.content.trim() !== '';
+    }
+
+    /**
+     * Whether the entry is due for a background refresh (or already expired)
+     */
+    isNearExpiry() {
+        return this.getAge() > this.getMaxAge() * CONFIG.REVALIDATE_AFTER;
+    }
+
+    getAge() {
+        return Date.now() - this.timestamp;
+    }
+
+    getFormattedAge() {
+        const now = new Date();
+        const diffMs = now - this.timestamp;
+        const diffSec = Math.floor(diffMs / 1000);
+        const diffMin = Math.floor(diffSec / 60);
+        const diffHour = Math.floor(diffMin / 60);
+
+        if (diffSec < 30) return "just now";
+        if (diffMin < 1) return `${diffSec} sec ago`;
+        if (diffHour < 1) return `${diffMin} min ago`;
+        if (diffHour < 24) return `${diffHour} hours ago`;
+
+        return new Date(this.timestamp).toLocaleDateString();
+    }
+}
@@ -1,14 +1,14 @@
 /**
  * Anilist Hover Comments
  *
- * This script enhances Anilist anime/manga pages by displaying user comments via
- * a hover interface
+ * This script enhances Anilist anime/manga pages, user lists and activity feeds
+ * by displaying user comments via a hover interface
  *
  * Features:
  * - Shows a comment icon next to user entries with comments
  * - Displays comments in a tooltip on hover or click
  * - Implements positive and negative caching to minimize API requests
- * - Handles SPA (Single Page Application) navigation
+ * - Handles SPA (Single Page Application) navigation without polling
  * - Silent error handling without console pollution
  *
  * @author ExAstra
@@ -16,23 +16,14 @@
  */
 
 /**
- * Configuration constants for application behavior
+ * Window event fired by navigation.js on pushState/replaceState
  */
-const ANILIST_API_RATE_LIMIT = 90; // Official Anilist limit
-
-const CONFIG = {
-    CACHE_MAX_AGE: 2 * 24 * 60 * 60 * 1000, // 48 hours
-    NEGATIVE_CACHE_AGE: 60 * 60 * 1000, // 1 hour
-    MAX_REQUESTS_PER_MINUTE: ANILIST_API_RATE_LIMIT / 2,
-    RATE_LIMIT_DURATION: 60000,
-    BATCH_DELAY: 200,
-    TOOLTIP_SHOW_DELAY: 50,
-    TOOLTIP_HIDE_DELAY: 1000,
-    AUTO_HIDE_CHECK_INTERVAL: 500,
-    CACHE_SAVE_INTERVAL: 300000,
-    MAIN_LOOP_INTERVAL: 250,
-    DEBUG_MODE: false
-};
+const LOCATION_CHANGE_EVENT = 'anilist-hover-comments:locationchange';
+
+/**
+ * Appended to an icon's label when its note changed since it was last read
+ */
+const CHANGED_LABEL_SUFFIX = ' (updated since you last read it)';
 
 /**
  * Inline SVG Icons
@@ -47,32 +38,24 @@ const SELECTORS = {
     USER_LINKS: 'a[href^="/user/"]',
     SCORE: 'div[class*="score-"]',
     COMMENT_ICON: '.anilist-comment-icon',
-    COMMENT_ICON_COLUMN: '.comment-icon-column',
+    COMMENT_ICON_COLUMN: '.comment-icon-column', // Any icon in a row, status icons included
+    NOTE_ICON_COLUMN: '.comment-icon-column:not(.status-icon)',
+    STATUS_ICON_COLUMN: '.comment-icon-column.status-icon',
     TOOLTIP: '#anilist-tooltip',
-    REFRESH_ALL_BTN: '.anilist-refresh-all-btn'
+    REFRESH_ALL_BTN: '.anilist-refresh-all-btn',
+    OWN_NOTE_BTN: '.anilist-own-note-btn',
+    NOTES_PANEL_BTN: '.anilist-notes-panel-btn',
+    AVATAR: '.avatar, img',
+    LIST_SECTION: '.lists',
+    LIST_ROWS: '.medialist .entry, .medialist .entry-card',
+    ROW_TITLE: '.title a[href]',
+    ROW_MEDIA_LINK: 'a[href^="/anime/"], a[href^="/manga/"]',
+    ACTIVITY_FEED: '.activity-feed',
+    ACTIVITY_ENTRIES: '.activity-entry.activity-anime_list, .activity-entry.activity-manga_list',
+    ACTIVITY_AUTHOR: 'a.name[href^="/user/"]',
+    ACTIVITY_TITLE: 'a.title'
 };
 
-/**
- * Silent logger that only shows output in debug mode
- */
-class Logger {
-    static log(message, ...args) {
-        if (CONFIG.DEBUG_MODE) {
-            console.log(`[AnilistExt] ${message}`, ...args);
-        }
-    }
-    static warn(message, ...args) {
-        if (CONFIG.DEBUG_MODE) {
-            console.warn(`[AnilistExt] ${message}`, ...args);
-        }
-    }
-    static error(message, ...args) {
-        if (CONFIG.DEBUG_MODE) {
-            console.error(`[AnilistExt] ${message}`, ...args);
-        }
-    }
-}
-
 /**
  * Main application class
  */
@@ -80,14 +63,24 @@ class AnilistHoverComments {
     constructor() {
         this.lastUrl = location.href;
         this.lastMediaId = null;
-        this.mainLoopInterval = null;
+        this.lastList = null; // { username, type } on user list pages
+        this.listFetches = new Set(); // Lists already fetched during this page visit
+        this.pageContext = null; // Media or list the page shows; revealed spoilers and pinned cards belong to it
+        this.activityKeys = new Set(); // Cache keys of the activities shown in a feed
+        this.observer = null;
+        this.observedRoots = []; // Nodes the observer is attached to
+        this.updateTimer = null;
+        this.listeners = [];
+        this.themeObserver = null;
         this.processedLinks = new Set(); // Tracks already processed links
+        this.viewer = null; // Logged-in Anilist user, if any
         // RIMOSSO: this.refreshAllButtonInjected = false;
 
-        this.cacheManager = new CacheManager();
-        this.apiManager = new ApiManager(this.cacheManager);
-        this.tooltipManager = TooltipManager.getInstance(this.apiManager);
-        this.apiManager.setTooltipManager(this.tooltipManager); // Link the tooltip manager to the api manager
+        this.cacheClient = new CacheClient();
+        this.apiClient = new ApiClient();
+        this.tooltipManager = TooltipManager.getInstance(this.apiClient);
+        this.notesPanel = new NotesPanel(this.cacheClient);
+        this.pinnedCards = new PinnedCards(this.tooltipManager);
 
         Logger.log("Anilist Hover Comments: Initialized!");
     }
@@ -96,38 +89,208 @@ class AnilistHoverComments {
      * Main initialization
      */
     async init() {
-        await this.cacheManager.load();
-        this.startMainLoop();
+        await Settings.load();
+        Settings.watch((changedKeys) => this.applySettings(changedKeys));
+        await this.cacheClient.load();
+        this.cacheClient.onChange((key, cachedComment) => this.handleCacheChange(key, cachedComment));
+        await this.loadViewer();
+        this.themeObserver = SiteTheme.watch(() => this.applyTheme());
+        this.startWatching();
+    }
+
+    /**
+     * Loads the logged-in user and follows logins/logouts from the options page
+     */
+    async loadViewer() {
+        try {
+            const result = await chrome.storage.local.get(VIEWER_STORAGE_KEY);
+            this.viewer = result[VIEWER_STORAGE_KEY] || null;
+        } catch (error) {
+            Logger.warn('Viewer loading failed:', error.message);
+        }
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local' || !changes[VIEWER_STORAGE_KEY]) return;
+            this.viewer = changes[VIEWER_STORAGE_KEY].newValue || null;
+            Logger.log(`Viewer changed: ${this.viewer?.name || 'logged out'}`);
+
+            // Re-create icons so the own-entry marker follows the new viewer
+            document.querySelectorAll(SELECTORS.COMMENT_ICON_COLUMN).forEach(icon => icon.remove());
+            this.processedLinks.clear();
+            this.scheduleUpdate();
+        });
+    }
+
+    /**
+     * Whether a username belongs to the logged-in user
+     */
+    isOwnEntry(username) {
+        return Boolean(this.viewer && this.viewer.name.toLowerCase() === String(username).toLowerCase());
+    }
+
+    /**
+     * Applies settings changed from the options page without a reload.
+     * Most values are read from CONFIG on use; only the tooltip and panel need restyling.
+     */
+    applySettings(changedKeys) {
+        this.tooltipManager.applySettings(changedKeys);
+        if (changedKeys.includes('THEME')) {
+            this.applyTheme();
+        }
+    }
+
+    applyTheme() {
+        this.tooltipManager.applyTheme();
+        this.notesPanel.applyTheme();
+        this.pinnedCards.applyTheme();
+    }
+
+    /**
+     * Reacts to cache entries written by any tab: refreshes an open tooltip and
+     * re-evaluates the user's icon.
+     */
+    handleCacheChange(key, cachedComment) {
+        const { username, mediaId } = parseCacheKey(key);
+        this.pinnedCards.updateIfPinned(username, mediaId);
+        if (SpoilerGuard.isReader(username)) {
+            this.rerenderNotes(); // The spoiler guard compares against this entry
+        }
+        this.updateChangeMarker(username, mediaId);
+        const onListPage = this.lastList && this.lastList.username === username;
+        if (mediaId !== this.lastMediaId && !onListPage && !this.activityKeys.has(key)) return;
+
+        this.processedLinks.delete(key);
+        if (cachedComment) {
+            this.tooltipManager.updateIfVisible(username, mediaId, cachedComment);
+        }
+        this.notesPanel.updateIfOpen(mediaId);
+        // Status icons are redrawn on every change; a note's icon stays while it has one
+        this.removeIcon(username, mediaId, Boolean(cachedComment?.hasContent()));
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Redraws every open note: the tooltip, pinned cards and the notes panel
+     */
+    rerenderNotes() {
+        this.tooltipManager.rerender();
+        this.pinnedCards.rerender();
+        this.notesPanel.render();
     }
 
     /**
-     * Starts the main loop
+     * Follows URL changes and page mutations instead of polling.
+     * Nothing runs while the tab is hidden.
      */
-    startMainLoop() {
-        if (this.mainLoopInterval) {
-            clearInterval(this.mainLoopInterval);
+    startWatching() {
+        this.observer = new MutationObserver(() => this.scheduleUpdate());
+
+        this.listen(window, LOCATION_CHANGE_EVENT, () => this.update());
+        this.listen(window, 'popstate', () => this.update());
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.pause();
+            } else {
+                this.update();
+            }
+        });
+
+        if (!document.hidden) {
+            this.update();
         }
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    /**
+     * Runs an update shortly, coalescing bursts of mutations
+     */
+    scheduleUpdate() {
+        if (this.updateTimer || document.hidden) return;
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.update();
+        }, CONFIG.DOM_UPDATE_DELAY);
+    }
+
+    pause() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        this.observer.disconnect();
+        this.observedRoots = [];
+    }
 
-        this.mainLoopInterval = setInterval(
-            () => this.mainLoop(),
-            CONFIG.MAIN_LOOP_INTERVAL
-        );
+    /**
+     * Watches the Following section and its heading, the lists of a list page and
+     * the activity feed once they exist, and the whole body until then (Anilist
+     * renders them after navigation). Their ancestors are watched too, without
+     * their subtrees, so a root that Anilist swaps out on navigation is noticed.
+     */
+    observe(media, list) {
+        const expected = [];
+        if (media) expected.push(this.findFollowingSection()?.parentElement);
+        if (list) expected.push(document.querySelector(SELECTORS.LIST_SECTION));
+        if (this.isFeedPage()) expected.push(document.querySelector(SELECTORS.ACTIVITY_FEED)?.parentElement);
+
+        const roots = expected.some(root => !root) ? [document.body] : expected;
+        if (roots.length === this.observedRoots.length && roots.every((root, i) => root === this.observedRoots[i])) return;
+
+        this.observer.disconnect();
+        this.observedRoots = roots;
+        // Ancestors first: observing a node again replaces its options, and a root may contain another
+        roots.forEach(root => {
+            for (let node = root.parentNode; node; node = node.parentNode) {
+                this.observer.observe(node, { childList: true });
+            }
+        });
+        roots.forEach(root => this.observer.observe(root, { childList: true, subtree: true }));
     }
 
     /**
-     * The single main loop that replaces all observers.
+     * Brings the page in line with the current URL and Following section
      */
-    mainLoop() {
+    update() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        if (document.hidden) return;
+
         const currentUrl = location.href;
         const media = this.extractMediaFromUrl();
+        const list = media ? null : this.extractListFromUrl();
 
         // 1. Check for URL changes
         if (currentUrl !== this.lastUrl) {
             Logger.log("URL change detected, resetting state.");
+            this.apiClient.cancelRequests(media?.id ?? null); // Nobody waits for the previous page's notes anymore
             this.lastUrl = currentUrl;
             this.lastMediaId = null;
             this.processedLinks.clear();
+            this.listFetches.clear();
+            this.activityKeys.clear();
             this.tooltipManager.hide(true); // Force-hide the tooltip
+            this.notesPanel.close();
+        }
+
+        this.lastList = list;
+        const pageContext = media ? `media:${media.id}` : location.pathname;
+        if (pageContext !== this.pageContext) {
+            this.pageContext = pageContext;
+            SpoilerGuard.reset();
+        }
+        this.pinnedCards.setContext(pageContext);
+        this.observe(media, list);
+
+        if (this.isFeedPage()) {
+            this.processActivities();
+        }
+
+        if (list) {
+            this.lastMediaId = null;
+            this.processListRows(list);
+            return;
         }
 
         // 2. Check for media page
@@ -149,19 +312,29 @@ class AnilistHoverComments {
         // 5. Inject Refresh All button if needed
         if (this.lastMediaId) {
             this.injectRefreshAllButton();
+            this.injectNotesPanelButton();
+            this.injectOwnNoteButton(media.id);
         }
     }
 
     /**
-     * Injects the "Refresh All" button next to the "Following" H2
+     * Finds the "Following" H2 above the following section
      */
-    injectRefreshAllButton() {
+    findFollowingHeader() {
         const followingSection = this.findFollowingSection();
-        if (!followingSection) return; // Section not ready
+        if (!followingSection) return null; // Section not ready
 
         const followingH2 = followingSection.previousElementSibling;
+        return followingH2 && followingH2.tagName === 'H2' ? followingH2 : null;
+    }
+
+    /**
+     * Injects the "Refresh All" button next to the "Following" H2
+     */
+    injectRefreshAllButton() {
+        const followingH2 = this.findFollowingHeader();
 
-        if (followingH2 && followingH2.tagName === 'H2' && !followingH2.querySelector(SELECTORS.REFRESH_ALL_BTN)) {
+        if (followingH2 && !followingH2.querySelector(SELECTORS.REFRESH_ALL_BTN)) {
             Logger.log("Injecting Refresh All button");
 
             followingH2.style.position = 'relative';
@@ -177,10 +350,121 @@ class AnilistHoverComments {
                 this.handleRefreshAll();
             });
 
+            this.makeKeyboardButton(refreshButton);
             followingH2.appendChild(refreshButton);
         }
     }
 
+    /**
+     * Injects the "All notes" button that opens the side panel with every followed user's note
+     */
+    injectNotesPanelButton() {
+        const followingH2 = this.findFollowingHeader();
+        if (!followingH2 || followingH2.querySelector(SELECTORS.NOTES_PANEL_BTN)) return;
+
+        Logger.log("Injecting notes panel button");
+        followingH2.style.position = 'relative';
+
+        const panelButton = document.createElement('span');
+        panelButton.className = 'anilist-notes-panel-btn comment-icon-column';
+        panelButton.innerHTML = '<i class="fas fa-list"></i>';
+        panelButton.title = 'Show all notes for this media';
+
+        panelButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            const media = this.extractMediaFromUrl();
+            if (media) {
+                this.notesPanel.toggle(media.id, this.getFollowedUsers());
+            }
+        });
+
+        this.makeKeyboardButton(panelButton);
+        followingH2.appendChild(panelButton);
+    }
+
+    /**
+     * Lists the users of the Following section with their avatar URL
+     */
+    getFollowedUsers() {
+        const followingSection = this.findFollowingSection();
+        if (!followingSection) return [];
+
+        const users = [];
+        for (const link of followingSection.querySelectorAll(SELECTORS.USER_LINKS)) {
+            const username = this.extractUsername(link);
+            if (username && !users.some(user => user.username === username)) {
+                users.push({ username, avatar: this.extractAvatar(link) });
+            }
+        }
+        return users;
+    }
+
+    /**
+     * Reads the avatar from a Following row, drawn either as an <img> or a background image
+     */
+    extractAvatar(link) {
+        const avatar = link.querySelector(SELECTORS.AVATAR);
+        if (!avatar) return null;
+        if (avatar.tagName === 'IMG') return avatar.src || null;
+
+        const match = (avatar.style.backgroundImage || '').match(/url\(["']?(.+?)["']?\)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Injects a "Your note" button next to the "Following" H2 when the
+     * logged-in user has this media on their list, so they can read and edit their own note
+     */
+    injectOwnNoteButton(mediaId) {
+        if (!this.viewer) return;
+
+        const followingH2 = this.findFollowingHeader();
+        if (!followingH2 || followingH2.querySelector(SELECTORS.OWN_NOTE_BTN)) return;
+
+        const username = this.viewer.name;
+        const cachedComment = this.cacheClient.get(cacheKey(username, mediaId));
+        if (!cachedComment) {
+            this.apiClient.queueRequest(username, mediaId);
+            return;
+        }
+        if (!cachedComment.details) return; // Not on the user's list
+
+        Logger.log("Injecting own note button");
+        followingH2.style.position = 'relative';
+
+        const ownNoteButton = document.createElement('span');
+        ownNoteButton.className = 'anilist-own-note-btn comment-icon-column own-entry';
+        ownNoteButton.innerHTML = '<i class="fas fa-pen"></i>';
+        ownNoteButton.title = 'Your note';
+        ownNoteButton.dataset.username = username;
+        ownNoteButton.dataset.mediaId = mediaId;
+
+        ownNoteButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.tooltipManager.handleIconClick(ownNoteButton, username, mediaId);
+        });
+
+        this.makeKeyboardButton(ownNoteButton);
+        followingH2.appendChild(ownNoteButton);
+    }
+
+    /**
+     * Makes an injected span reachable with Tab and clickable with Enter/Space
+     */
+    makeKeyboardButton(element) {
+        element.setAttribute('role', 'button');
+        element.tabIndex = 0;
+        element.setAttribute('aria-label', element.title);
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                element.click();
+            }
+        });
+    }
+
     /**
      * Handles the click event for "Refresh All"
      */
@@ -195,38 +479,28 @@ class AnilistHoverComments {
         const userLinks = followingSection.querySelectorAll(SELECTORS.USER_LINKS);
         if (!userLinks.length) return;
 
-        // 1. Clear processed state
-        this.processedLinks.clear();
-
-        // 2. Delete cache for all visible users
+        // 1. Fetch every visible user again. The entries are not deleted first, so the
+        // new versions are merged with the old ones (history, read marker, translation)
+        const refreshes = [];
         for (const link of userLinks) {
             const username = this.extractUsername(link);
             if (username) {
-                const cacheKey = `${username}-${media.id}`;
-                this.cacheManager.delete(cacheKey);
-
-                // 3. Remove existing icons immediately for visual feedback
-                const icon = link.querySelector(SELECTORS.COMMENT_ICON_COLUMN);
-                if (icon) {
-                    icon.remove();
-                }
+                refreshes.push(this.apiClient.queueRequest(username, media.id));
             }
         }
 
-        // 4. Provide visual feedback on the button
+        // 2. Provide visual feedback on the button until every fetch is done.
+        // Icons follow the cache changes.
         const btn = document.querySelector(SELECTORS.REFRESH_ALL_BTN);
         if (btn) {
             // MODIFICA: Usa l'icona 'spinner' di Font Awesome
             btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
-            setTimeout(() => {
+            Promise.all(refreshes).finally(() => {
                 // MODIFICA: Reimposta l'icona 'sync-alt'
                 btn.innerHTML = '<i class="fas fa-sync-alt"></i>';
-            }, 2000);
+            });
         }
-
-        // 5. The mainLoop will automatically pick up the changes
-        // on its next 250ms tick, find no cache, and re-queue everything.
-        Logger.log(`Cleared cache for ${userLinks.length} users. Main loop will re-fetch.`);
+        Logger.log(`Re-fetching ${refreshes.length} users.`);
     }
 
 
@@ -247,7 +521,7 @@ class AnilistHoverComments {
         for (const link of userLinks) {
             const username = this.extractUsername(link);
             if (username) {
-                const linkKey = `${username}-${mediaId}`;
+                const linkKey = cacheKey(username, mediaId);
                 // Only process if new or icon disappeared
                 const hasIcon = link.querySelector(SELECTORS.COMMENT_ICON_COLUMN);
 
@@ -262,50 +536,133 @@ class AnilistHoverComments {
     }
 
     /**
-     * Process a single user entry with negative caching
+     * Adds icons to list activities ("X completed Y") of the activity feed.
+     * A user and media may appear in several activities, which all get an icon.
      */
-    async processUser(entry, username, mediaId) {
+    processActivities() {
+        const addActivityIcon = (...args) => this.addInlineIcon(...args);
+
+        for (const entry of document.querySelectorAll(SELECTORS.ACTIVITY_ENTRIES)) {
+            if (entry.querySelector(SELECTORS.COMMENT_ICON_COLUMN)) continue;
+
+            const authorLink = entry.querySelector(SELECTORS.ACTIVITY_AUTHOR);
+            const username = authorLink && this.extractUsername(authorLink);
+            const mediaId = this.extractRowMediaId(entry);
+            if (!username || !mediaId) continue;
+
+            const key = cacheKey(username, mediaId);
+            this.activityKeys.add(key);
+            if (this.processedLinks.has(key)) {
+                if (this.cacheClient.get(key)?.hasContent()) {
+                    addActivityIcon(entry, username, mediaId);
+                }
+                continue;
+            }
+            this.processUser(entry, username, mediaId, addActivityIcon, null);
+        }
+    }
+
+    /**
+     * Process a single user entry with negative caching. Private lists and
+     * failed fetches get a status icon, unless `addStatusIcon` is null.
+     */
+    async processUser(entry, username, mediaId, addIcon = (...args) => this.addIcon(...args), addStatusIcon = (...args) => this.addStatusIcon(...args)) {
         // Prevents double-adding
         if (entry.querySelector(SELECTORS.COMMENT_ICON_COLUMN)) return;
 
-        const cacheKey = `${username}-${mediaId}`;
-        const cachedComment = this.cacheManager.get(cacheKey);
-
-        const shouldFetch = (cache) => {
-            if (!cache) {
-                return true; // No cache, must fetch
-            }
-            if (cache.hasContent() && !cache.isValid()) {
-                return true; // Positive cache is expired, must fetch
-            }
-
-            return !cache.hasContent() && !cache.isNegativeCacheValid();
-        };
+        const key = cacheKey(username, mediaId);
+        const cachedComment = this.cacheClient.get(key);
 
         if (cachedComment && cachedComment.hasContent()) {
             // Case 1: Valid (or expired) POSITIVE cache.
             // Show the icon immediately. The tooltip's
             // `loadComment` function will handle refreshing if it's expired.
-            this.addIcon(entry, username, mediaId);
-            this.processedLinks.add(cacheKey);
+            addIcon(entry, username, mediaId);
+            this.processedLinks.add(key);
+            // Near expiry: refresh quietly so a deleted note loses its icon
+            if (cachedComment.isNearExpiry()) {
+                this.apiClient.revalidate(username, mediaId);
+            }
         }
-        else if (shouldFetch(cachedComment)) {
+        else if (this.needsFetch(cachedComment)) {
             // Case 2: No cache OR Expired negative cache OR Expired positive cache.
             // Fetch from API.
-            this.apiManager.queueRequest(entry, username, mediaId, (hasContent) => {
-                if (hasContent && !entry.querySelector(SELECTORS.COMMENT_ICON_COLUMN)) {
-                    this.addIcon(entry, username, mediaId);
-                    this.processedLinks.add(cacheKey);
-                } else if (!hasContent) {
-                    // This ensures we mark it as processed even if the new fetch is empty
-                    this.processedLinks.add(cacheKey);
-                }
-            });
+            const hasContent = await this.apiClient.queueRequest(username, mediaId);
+            if (hasContent === null) {
+                return; // Cancelled, or the background worker is unreachable
+            }
+            if (hasContent && !entry.querySelector(SELECTORS.COMMENT_ICON_COLUMN)) {
+                addIcon(entry, username, mediaId);
+            }
+            // This ensures we mark it as processed even if the new fetch is empty
+            this.processedLinks.add(key);
         }
         else {
             // Case 3: Valid NEGATIVE cache.
-            // Do nothing.
-            this.processedLinks.add(cacheKey);
+            if (addStatusIcon) {
+                addStatusIcon(entry, username, mediaId, cachedComment.status);
+            }
+            // Near expiry: refresh quietly so a new note gets its icon
+            if (cachedComment.isNearExpiry()) {
+                this.apiClient.revalidate(username, mediaId);
+            }
+            this.processedLinks.add(key);
+        }
+    }
+
+    /**
+     * Whether a cache entry is missing or expired
+     */
+    needsFetch(cachedComment) {
+        if (!cachedComment) {
+            return true; // No cache, must fetch
+        }
+        if (cachedComment.hasContent() && !cachedComment.isValid()) {
+            return true; // Positive cache is expired, must fetch
+        }
+
+        return !cachedComment.hasContent() && !cachedComment.isNegativeCacheValid();
+    }
+
+    /**
+     * Adds icons to the rows of a user's anime or manga list. Missing entries are
+     * fetched for the whole list at once rather than row by row.
+     */
+    processListRows(list) {
+        let missingEntries = false;
+        for (const row of document.querySelectorAll(SELECTORS.LIST_ROWS)) {
+            if (row.querySelector(SELECTORS.COMMENT_ICON_COLUMN)) continue;
+
+            const mediaId = this.extractRowMediaId(row);
+            if (!mediaId) continue;
+
+            const cachedComment = this.cacheClient.get(cacheKey(list.username, mediaId));
+            if (cachedComment?.hasContent()) {
+                this.addInlineIcon(row, list.username, mediaId);
+            }
+            if (this.needsFetch(cachedComment)) {
+                missingEntries = true;
+            }
+        }
+
+        if (missingEntries) {
+            this.fetchList(list);
+        }
+    }
+
+    /**
+     * Fetches a list once per page visit; icons appear through the cache change events.
+     * A fetch that did not succeed is tried again on a later update.
+     */
+    async fetchList(list) {
+        const listKey = `${list.username}-${list.type}`;
+        if (this.listFetches.has(listKey)) return;
+        this.listFetches.add(listKey);
+
+        const status = await this.apiClient.fetchList(list.username, list.type);
+        Logger.log(`List fetch for ${listKey}: ${status}`);
+        if (status !== 'success') {
+            this.listFetches.delete(listKey);
         }
     }
 
@@ -332,14 +689,136 @@ class AnilistHoverComments {
         Logger.log(`Icon added for ${username}`);
     }
 
+    /**
+     * Adds a comment icon after the media title of a list row or activity
+     */
+    addInlineIcon(row, username, mediaId) {
+        const iconContainer = this.createIconContainer(username, mediaId);
+        iconContainer.classList.add('inline');
+        iconContainer.appendChild(this.createIcon());
+
+        const title = row.querySelector(`${SELECTORS.ROW_TITLE}, ${SELECTORS.ACTIVITY_TITLE}`)
+            || row.querySelector(SELECTORS.ROW_MEDIA_LINK);
+        if (title) {
+            title.after(iconContainer);
+        } else {
+            row.appendChild(iconContainer);
+        }
+
+        this.setupIconEvents(iconContainer, username, mediaId);
+    }
+
+    /**
+     * Shows that a user's note can't be read: a dimmed lock for private lists,
+     * or a warning that retries the fetch when clicked
+     */
+    addStatusIcon(entry, username, mediaId, status) {
+        if (status !== NOTE_STATUS.PRIVATE && status !== NOTE_STATUS.ERROR) return;
+        if (entry.querySelector(SELECTORS.COMMENT_ICON_COLUMN)) return;
+
+        const container = document.createElement('div');
+        container.className = `comment-icon-column status-icon status-${status}`;
+        container.dataset.username = username;
+        container.dataset.mediaId = mediaId;
+
+        const icon = document.createElement('span');
+        icon.className = 'anilist-status-icon';
+        container.appendChild(icon);
+
+        if (status === NOTE_STATUS.PRIVATE) {
+            icon.innerHTML = '<i class="fas fa-lock"></i>';
+            container.title = `${username}'s list is private`;
+            container.setAttribute('role', 'img');
+            container.setAttribute('aria-label', container.title);
+        } else {
+            icon.innerHTML = '<i class="fas fa-exclamation-triangle"></i>';
+            container.title = `Couldn't load ${username}'s note, click to retry`;
+            this.makeKeyboardButton(container);
+            container.addEventListener('click', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                this.retryFetch(container, username, mediaId);
+            });
+        }
+
+        const scoreEl = entry.querySelector(SELECTORS.SCORE);
+        if (scoreEl) {
+            scoreEl.parentNode.insertBefore(container, scoreEl);
+        } else {
+            entry.appendChild(container);
+        }
+    }
+
+    /**
+     * Fetches a failed note again. The cache change replaces the status icon.
+     */
+    async retryFetch(container, username, mediaId) {
+        if (container.classList.contains('retrying')) return;
+        container.classList.add('retrying');
+        const hasContent = await this.apiClient.queueRequest(username, mediaId, REQUEST_PRIORITY.HOVER);
+        if (hasContent === null) {
+            container.classList.remove('retrying'); // Cancelled, nothing changed
+        }
+    }
+
+    /**
+     * Removes the icon of a user whose comment disappeared, or only their status icon
+     */
+    removeIcon(username, mediaId, statusOnly = false) {
+        const selector = statusOnly ? SELECTORS.STATUS_ICON_COLUMN : SELECTORS.COMMENT_ICON_COLUMN;
+        document.querySelectorAll(selector).forEach(container => {
+            if (container.dataset.username === username && parseInt(container.dataset.mediaId) === mediaId) {
+                container.remove();
+            }
+        });
+    }
+
     createIconContainer(username, mediaId) {
         const container = document.createElement('div');
         container.className = 'comment-icon-column';
         container.dataset.username = username;
         container.dataset.mediaId = mediaId;
+        container.setAttribute('role', 'button');
+        container.tabIndex = 0;
+        container.setAttribute('aria-label', `Read note by ${username}`);
+        if (this.isOwnEntry(username)) {
+            container.classList.add('own-entry');
+            container.title = 'Your note';
+            container.setAttribute('aria-label', 'Read your note');
+        }
+        this.setChangeMarker(container, this.cacheClient.get(cacheKey(username, mediaId)));
         return container;
     }
 
+    /**
+     * Flags an icon whose note changed since the user last opened it
+     */
+    setChangeMarker(container, cachedComment) {
+        const changed = Boolean(cachedComment?.hasUnreadChanges()) && !this.isOwnEntry(container.dataset.username);
+        container.classList.toggle('has-changes', changed);
+
+        const label = container.getAttribute('aria-label').replace(CHANGED_LABEL_SUFFIX, '');
+        container.setAttribute('aria-label', changed ? label + CHANGED_LABEL_SUFFIX : label);
+    }
+
+    updateChangeMarker(username, mediaId) {
+        const cachedComment = this.cacheClient.get(cacheKey(username, mediaId));
+        document.querySelectorAll(SELECTORS.NOTE_ICON_COLUMN).forEach(container => {
+            if (container.dataset.username === username && parseInt(container.dataset.mediaId) === mediaId) {
+                this.setChangeMarker(container, cachedComment);
+            }
+        });
+    }
+
+    /**
+     * Records that the user opened the current version of a note
+     */
+    markRead(username, mediaId, cachedComment) {
+        if (!cachedComment?.hasContent()) return;
+        this.cacheClient.markRead(cacheKey(username, mediaId), hashNote(cachedComment.content));
+        this.updateChangeMarker(username, mediaId);
+    }
+
     createIcon() {
         const icon = document.createElement('span');
         icon.className = 'anilist-comment-icon';
@@ -348,7 +827,7 @@ class AnilistHoverComments {
     }
 
     setupIconEvents(iconContainer, username, mediaId) {
-        const parentEntry = iconContainer.closest('a');
+        const parentEntry = iconContainer.closest(`a, ${SELECTORS.LIST_ROWS}, ${SELECTORS.ACTIVITY_ENTRIES}`);
 
         // Row hover effects
         if (parentEntry) {
@@ -362,15 +841,18 @@ class AnilistHoverComments {
             };
             parentEntry.addEventListener("mouseenter", rowEnterHandler);
             parentEntry.addEventListener("mouseleave", rowLeaveHandler);
+            this.setupLongPress(parentEntry, iconContainer, username, mediaId);
         }
 
-        // Icon-specific events
+        // Icon-specific events. Touch has no hover: taps go through the click handler.
         const iconEnterHandler = (e) => {
             e.stopPropagation();
+            if (e.pointerType === 'touch') return;
             this.tooltipManager.handleIconEnter(iconContainer, username, mediaId);
         };
         const iconLeaveHandler = (e) => {
             e.stopPropagation();
+            if (e.pointerType === 'touch') return;
             this.tooltipManager.handleIconLeave();
         };
         const iconClickHandler = (e) => {
@@ -379,26 +861,115 @@ class AnilistHoverComments {
             this.tooltipManager.handleIconClick(iconContainer, username, mediaId);
         };
 
-        iconContainer.addEventListener("mouseenter", iconEnterHandler);
-        iconContainer.addEventListener("mouseleave", iconLeaveHandler);
+        iconContainer.addEventListener("pointerenter", iconEnterHandler);
+        iconContainer.addEventListener("pointerleave", iconLeaveHandler);
         iconContainer.addEventListener("click", iconClickHandler);
+
+        // Keyboard access: focus shows the tooltip, arrows move between users
+        iconContainer.addEventListener("focus", () => {
+            this.tooltipManager.handleIconFocus(iconContainer, username, mediaId);
+        });
+        iconContainer.addEventListener("blur", (e) => {
+            this.tooltipManager.handleFocusLeave(e.relatedTarget);
+        });
+        iconContainer.addEventListener("keydown", (e) => {
+            this.handleIconKeydown(e, iconContainer, username, mediaId);
+        });
     }
 
     /**
-     * Find the following section in the DOM
+     * Long-pressing a row on a touchscreen opens its tooltip. The click that
+     * ends the press is swallowed so the row's link is not followed.
      */
-    findFollowingSection() {
-        const section = document.querySelector(SELECTORS.FOLLOWING_SECTION);
-        if (section) return section;
+    setupLongPress(row, iconContainer, username, mediaId) {
+        let timer = null;
+        let start = null;
+        let fired = false;
+        const cancel = () => {
+            clearTimeout(timer);
+            timer = null;
+        };
 
-        // Fallback: find by title
-        const h2Elements = document.querySelectorAll('h2');
-        for (const h2 of h2Elements) {
-            if (h2.textContent.includes('Following')) {
-                return h2.nextElementSibling;
-            }
-        }
-        return null;
+        row.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            fired = false;
+            start = { x: e.clientX, y: e.clientY };
+            timer = setTimeout(() => {
+                fired = true;
+                this.tooltipManager.handleIconClick(iconContainer, username, mediaId);
+            }, CONFIG.LONG_PRESS_DELAY);
+        });
+        row.addEventListener('pointermove', (e) => {
+            if (timer && Math.hypot(e.clientX - start.x, e.clientY - start.y) > 10) cancel(); // Scrolling
+        });
+        row.addEventListener('pointerup', cancel);
+        row.addEventListener('pointercancel', cancel);
+        row.addEventListener('contextmenu', (e) => {
+            if (fired) e.preventDefault();
+        });
+        row.addEventListener('click', (e) => {
+            if (!fired) return;
+            fired = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+    }
+
+    handleIconKeydown(e, iconContainer, username, mediaId) {
+        switch (e.key) {
+            case 'Enter':
+            case ' ':
+                this.tooltipManager.focusTooltip(iconContainer, username, mediaId);
+                break;
+            case 'Escape':
+                this.tooltipManager.close();
+                break;
+            case 'ArrowDown':
+            case 'ArrowRight':
+                this.focusSiblingIcon(iconContainer, 1);
+                break;
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                this.focusSiblingIcon(iconContainer, -1);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Moves focus to the next or previous user icon of the same Following list, user list or feed
+     */
+    focusSiblingIcon(iconContainer, step) {
+        const group = iconContainer.closest(SELECTORS.FOLLOWING_SECTION)
+            || iconContainer.closest(SELECTORS.LIST_SECTION)
+            || iconContainer.closest(SELECTORS.ACTIVITY_FEED)
+            || document;
+        // Header buttons share the column class but hold no comment icon
+        const icons = [...group.querySelectorAll(SELECTORS.NOTE_ICON_COLUMN)]
+            .filter(icon => icon.querySelector(SELECTORS.COMMENT_ICON));
+
+        const next = icons[icons.indexOf(iconContainer) + step];
+        if (next) next.focus();
+    }
+
+    /**
+     * Find the following section in the DOM
+     */
+    findFollowingSection() {
+        const section = document.querySelector(SELECTORS.FOLLOWING_SECTION);
+        if (section) return section;
+
+        // Fallback: find by title
+        const h2Elements = document.querySelectorAll('h2');
+        for (const h2 of h2Elements) {
+            if (h2.textContent.includes('Following')) {
+                return h2.nextElementSibling;
+            }
+        }
+        return null;
     }
 
     extractUsername(link) {
@@ -407,6 +978,33 @@ class AnilistHoverComments {
         return href.replace('/user/', '').replace(/\/$/, '');
     }
 
+    /**
+     * Reads the list owner and type from /user/<name>/animelist or /mangalist
+     */
+    extractListFromUrl() {
+        const match = window.location.pathname.match(/^\/user\/([^/]+)\/(animelist|mangalist)/);
+        if (!match) return null;
+        return {
+            username: decodeURIComponent(match[1]),
+            type: match[2] === 'animelist' ? 'ANIME' : 'MANGA'
+        };
+    }
+
+    /**
+     * Pages that may show an activity feed: home, user overviews, single
+     * activities and the Social tab of media pages
+     */
+    isFeedPage() {
+        return /^\/(home\/?)?$|^\/user\/[^/]+\/?$|^\/activity\/|^\/(anime|manga)\/\d+(\/[^/]+)?\/social/
+            .test(window.location.pathname);
+    }
+
+    extractRowMediaId(row) {
+        const link = row.querySelector(SELECTORS.ROW_MEDIA_LINK);
+        const match = link?.getAttribute('href').match(/^\/(?:anime|manga)\/(\d+)/);
+        return match ? parseInt(match[1]) : null;
+    }
+
     extractMediaFromUrl() {
         const match = window.location.pathname.match(/\/(anime|manga)\/(\d+)/);
         if (match && match[2]) {
@@ -419,278 +1017,1259 @@ class AnilistHoverComments {
     }
 
     destroy() {
-        if (this.mainLoopInterval) {
-            clearInterval(this.mainLoopInterval);
-        }
-        this.cacheManager.destroy();
+        if (this.observer) this.pause();
+        if (this.themeObserver) this.themeObserver.disconnect();
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.cacheClient.destroy();
+        this.apiClient.destroy();
         this.tooltipManager.destroy();
+        this.notesPanel.destroy();
+        this.pinnedCards.destroy();
         Logger.log("Anilist Hover Comments: Destroyed!");
     }
 }
 
 /**
- * Enhanced cache manager with negative caching
+ * Read-only mirror of the comment cache owned by the background worker.
+ *
+ * Entries are read once from chrome.storage.local and kept up to date through
+ * storage change events, so reads stay synchronous and entries fetched by any
+ * tab show up here immediately. Writes go through the background worker.
  */
-class CacheManager {
+class CacheClient {
+    static LEGACY_STORAGE_KEY = 'anilist_comment_cache';
+
     constructor() {
         this.cache = {};
-        this.saveInterval = null;
+        this.listeners = new Set();
+        this.touchedKeys = new Set();
+        this.touchTimer = null;
+        this.storageListener = (changes, area) => this.handleStorageChange(changes, area);
     }
 
     async load() {
         try {
-            const cached = localStorage.getItem('anilist_comment_cache');
-            if (cached) {
-                this.cache = JSON.parse(cached) || {};
+            const stored = await chrome.storage.local.get(null);
+            for (const [storageKey, data] of Object.entries(stored)) {
+                if (storageKey.startsWith(CACHE_KEY_PREFIX) && data) {
+                    this.cache[storageKey.slice(CACHE_KEY_PREFIX.length)] = data;
+                }
             }
         } catch (error) {
             Logger.warn('Cache loading failed:', error.message);
-            this.cache = {};
         }
-        this.startPeriodicSave();
+        chrome.storage.onChanged.addListener(this.storageListener);
+        this.migrateLegacyCache();
+    }
+
+    /**
+     * Hands the cache formerly kept in Anilist's localStorage over to the background worker
+     */
+    async migrateLegacyCache() {
+        let legacy;
+        try {
+            legacy = localStorage.getItem(CacheClient.LEGACY_STORAGE_KEY);
+            if (!legacy) return;
+            legacy = JSON.parse(legacy);
+        } catch (error) {
+            Logger.warn('Legacy cache could not be read:', error.message);
+            legacy = {};
+        }
+
+        const response = await sendToBackground({ type: MESSAGES.MIGRATE_LEGACY_CACHE, entries: legacy });
+        if (response?.ok) {
+            localStorage.removeItem(CacheClient.LEGACY_STORAGE_KEY);
+        }
     }
 
     get(key) {
         const data = this.cache[key];
         if (!data) return null;
-        return new CachedComment(data.content, data.timestamp);
+        this.scheduleTouch(key);
+        return new CachedComment(data);
+    }
+
+    setTranslation(key, translation) {
+        if (!this.cache[key]) return;
+        this.cache[key] = { ...this.cache[key], translation };
+        sendToBackground({ type: MESSAGES.SAVE_TRANSLATION, key, translation });
+    }
+
+    markRead(key, readHash) {
+        if (!this.cache[key] || this.cache[key].readHash === readHash) return;
+        this.cache[key] = { ...this.cache[key], readHash };
+        sendToBackground({ type: MESSAGES.MARK_READ, key, readHash });
+    }
+
+    /**
+     * Registers a listener called with (key, cachedComment | null) when an entry changes
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+    }
+
+    handleStorageChange(changes, area) {
+        if (area !== 'local') return;
+
+        for (const [storageKey, change] of Object.entries(changes)) {
+            if (!storageKey.startsWith(CACHE_KEY_PREFIX)) continue;
+
+            const key = storageKey.slice(CACHE_KEY_PREFIX.length);
+            const previous = this.cache[key];
+            const next = change.newValue;
+            if (next) {
+                this.cache[key] = next;
+            } else {
+                delete this.cache[key];
+            }
+
+            // Access time updates are not interesting to listeners
+            if (previous && next && previous.timestamp === next.timestamp) continue;
+            const cachedComment = next ? new CachedComment(next) : null;
+            this.listeners.forEach(listener => listener(key, cachedComment));
+        }
+    }
+
+    /**
+     * Reads are reported to the background worker in bulk for LRU eviction
+     */
+    scheduleTouch(key) {
+        this.touchedKeys.add(key);
+        if (this.touchTimer) return;
+        this.touchTimer = setTimeout(() => this.flushTouches(), CONFIG.CACHE_ACCESS_FLUSH_DELAY);
+    }
+
+    flushTouches() {
+        clearTimeout(this.touchTimer);
+        this.touchTimer = null;
+        if (this.touchedKeys.size === 0) return;
+        sendToBackground({ type: MESSAGES.TOUCH_CACHE, keys: [...this.touchedKeys] });
+        this.touchedKeys.clear();
+    }
+
+    destroy() {
+        this.flushTouches();
+        chrome.storage.onChanged.removeListener(this.storageListener);
+        this.listeners.clear();
+    }
+}
+
+/**
+ * Content-side proxy for the ApiManager running in the background worker
+ */
+class ApiClient {
+    constructor() {
+        this.pendingRequests = new Map(); // requestKey -> { priority, promise }
+        this.revalidated = new Set(); // Background refreshes already asked for on this page
+        this.isRateLimited = false;
+    }
+
+    /**
+     * Queues a fetch in the background worker. Resolves with whether the user
+     * has a comment, or null if the request was cancelled or the background
+     * worker could not be reached. A request that failed after all retries
+     * resolves with false and is cached as an error status for a short while.
+     * Callers asking for the same user share one promise; a more urgent one
+     * re-sends the request so the background worker moves it up the queue.
+     */
+    queueRequest(username, mediaId, priority = REQUEST_PRIORITY.VISIBLE) {
+        const requestKey = cacheKey(username, mediaId);
+        const pending = this.pendingRequests.get(requestKey);
+        if (pending && pending.priority <= priority) return pending.promise;
+
+        const promise = sendToBackground({ type: MESSAGES.QUEUE_REQUEST, username, mediaId, priority })
+            .then((response) => {
+                if (!response || response.error || response.cancelled) return null;
+                this.isRateLimited = response.isRateLimited;
+                return response.hasContent;
+            })
+            .finally(() => {
+                if (this.pendingRequests.get(requestKey)?.promise === promise) {
+                    this.pendingRequests.delete(requestKey);
+                }
+            });
+        this.pendingRequests.set(requestKey, { priority, promise });
+        return promise;
+    }
+
+    /**
+     * Whether a fetch for this user and media is queued or in flight
+     */
+    isPending(username, mediaId) {
+        return this.pendingRequests.has(cacheKey(username, mediaId));
+    }
+
+    /**
+     * Cancels this tab's queued requests, except those for `keepMediaId`
+     */
+    cancelRequests(keepMediaId = null) {
+        this.revalidated.clear();
+        sendToBackground({ type: MESSAGES.CANCEL_REQUESTS, keepMediaId });
+    }
+
+    /**
+     * Public function for manual refresh from the tooltip
+     */
+    async refreshComment(username, mediaId) {
+        const response = await sendToBackground({ type: MESSAGES.REFRESH_COMMENT, username, mediaId });
+        if (!response || response.error) return 'error';
+        this.isRateLimited = response.isRateLimited;
+        return response.status;
+    }
+
+    /**
+     * Asks the background worker to refresh an entry that is about to expire,
+     * whenever there is spare request budget. Changes arrive through the cache.
+     */
+    revalidate(username, mediaId) {
+        const requestKey = cacheKey(username, mediaId);
+        if (this.revalidated.has(requestKey)) return;
+        this.revalidated.add(requestKey);
+        sendToBackground({ type: MESSAGES.REVALIDATE, username, mediaId });
+    }
+
+    /**
+     * Caches a whole anime or manga list. Resolves with 'success', 'cancelled',
+     * 'rate_limited' or 'error'.
+     */
+    async fetchList(username, listType) {
+        const response = await sendToBackground({ type: MESSAGES.FETCH_LIST, username, listType });
+        if (!response || response.error) return 'error';
+        this.isRateLimited = response.isRateLimited;
+        return response.status;
+    }
+
+    /**
+     * Saves the logged-in user's note. Resolves with the background status:
+     * 'saved', 'conflict' (with serverContent), 'rate_limited', 'not_on_list',
+     * 'not_authenticated' or 'error'.
+     */
+    async saveNote(mediaId, notes, baseContent, force = false) {
+        const response = await sendToBackground({ type: MESSAGES.SAVE_NOTE, mediaId, notes, baseContent, force });
+        if (!response || response.error) return { status: 'error' };
+        return response;
+    }
+
+    destroy() {
+        this.pendingRequests.clear();
+        this.revalidated.clear();
+    }
+}
+
+/**
+ * Formats list entry details for display
+ */
+class EntryFormatter {
+    static STATUS_LABELS = {
+        CURRENT: { ANIME: 'Watching', MANGA: 'Reading' },
+        PLANNING: { ANIME: 'Plan to watch', MANGA: 'Plan to read' },
+        COMPLETED: { ANIME: 'Completed', MANGA: 'Completed' },
+        DROPPED: { ANIME: 'Dropped', MANGA: 'Dropped' },
+        PAUSED: { ANIME: 'Paused', MANGA: 'Paused' },
+        REPEATING: { ANIME: 'Rewatching', MANGA: 'Rereading' }
+    };
+
+    static NOTE_STATUS_LABELS = {
+        [NOTE_STATUS.NO_NOTE]: 'No comment',
+        [NOTE_STATUS.NOT_ON_LIST]: 'Not on their list',
+        [NOTE_STATUS.PRIVATE]: 'Private list',
+        [NOTE_STATUS.ERROR]: "Couldn't load the note"
+    };
+
+    /**
+     * Formats a score in the user's own score format. Returns null for unscored entries.
+     */
+    static formatScore(score, scoreFormat) {
+        if (!score) return null;
+
+        switch (scoreFormat) {
+            case 'POINT_100':
+                return `${score}/100`;
+            case 'POINT_10_DECIMAL':
+                return `${Number(score).toFixed(1)}/10`;
+            case 'POINT_5':
+                return '★'.repeat(score) + '☆'.repeat(Math.max(0, 5 - score));
+            case 'POINT_3':
+                return ['', '🙁', '😐', '🙂'][score] || `${score}/3`;
+            case 'POINT_10':
+            default:
+                return `${score}/10`;
+        }
+    }
+
+    /**
+     * Converts a score to a 0-100 scale, so users with different score formats can be compared
+     */
+    static normalizeScore(score, scoreFormat) {
+        if (!score) return 0;
+        switch (scoreFormat) {
+            case 'POINT_100':
+                return score;
+            case 'POINT_5':
+                return score * 20;
+            case 'POINT_3':
+                return Math.round(score * 100 / 3);
+            case 'POINT_10_DECIMAL':
+            case 'POINT_10':
+            default:
+                return score * 10;
+        }
+    }
+
+    /**
+     * Placeholder for an entry without a note
+     */
+    static formatNoteStatus(status) {
+        return EntryFormatter.NOTE_STATUS_LABELS[status] || 'No comment';
+    }
+
+    static formatStatus(status, mediaType) {
+        const labels = EntryFormatter.STATUS_LABELS[status];
+        if (!labels) return status || null;
+        return labels[mediaType] || labels.ANIME;
+    }
+
+    static formatProgress(details) {
+        if (details.mediaType === 'MANGA') {
+            const chapters = `Ch. ${details.progress || 0}${details.chapters ? `/${details.chapters}` : ''}`;
+            return details.progressVolumes ? `${chapters} · Vol. ${details.progressVolumes}` : chapters;
+        }
+        return `Ep. ${details.progress || 0}${details.episodes ? `/${details.episodes}` : ''}`;
+    }
+
+    /**
+     * Formats an Anilist FuzzyDate, which may only have a year or a month
+     */
+    static formatFuzzyDate(date) {
+        if (!date || !date.year) return null;
+        if (!date.month) return `${date.year}`;
+        if (!date.day) {
+            return new Date(date.year, date.month - 1).toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+        }
+        return new Date(date.year, date.month - 1, date.day).toLocaleDateString();
+    }
+}
+
+/**
+ * Safe renderer for Anilist-flavored note markup.
+ *
+ * Builds DOM nodes directly (never innerHTML), so raw HTML in a note is shown
+ * as text. Supports spoilers, bold/italic/strikethrough, headings, quotes,
+ * centered text, links, bare URLs, img()/youtube()/webm() tags and inline code.
+ */
+class NoteRenderer {
+    static MAX_DEPTH = 6;
+    static MAX_IMAGE_WIDTH = 240;
+
+    /**
+     * Token patterns in priority order; on equal positions the first one wins
+     */
+    static TOKENS = [
+        { type: 'spoiler', pattern: /~!([\s\S]+?)!~/g },
+        { type: 'center', pattern: /~~~([\s\S]+?)~~~/g },
+        { type: 'heading', pattern: /^(#{1,5})[ \t]+([^\n]+)\n?/gm },
+        { type: 'quote', pattern: /^>[ \t]?([^\n]*)\n?/gm },
+        { type: 'image', pattern: /img(\d{1,4}%?)?\(([^)\s]+)\)/gi },
+        { type: 'markdownImage', pattern: /!\[[^\]]*\]\(([^)\s]+)\)/g },
+        { type: 'embed', pattern: /(youtube|webm)\(([^)\s]+)\)/gi },
+        { type: 'link', pattern: /\[([^\]]+)\]\(([^)\s]+)\)/g },
+        { type: 'bold', pattern: /(\*\*|__)([\s\S]+?)\1/g },
+        { type: 'strike', pattern: /~~([\s\S]+?)~~/g },
+        { type: 'italic', pattern: /\*([^*\n]+?)\*|(?<!\w)_([^_\n]+?)_(?!\w)/g },
+        { type: 'code', pattern: /`([^`\n]+)`/g },
+        { type: 'url', pattern: /https?:\/\/[^\s<>()\[\]]+/g }
+    ];
+
+    /**
+     * Renders note text into a DocumentFragment
+     */
+    static render(text) {
+        const fragment = document.createDocumentFragment();
+        NoteRenderer.renderInto(fragment, text || '', 0);
+        return fragment;
+    }
+
+    static renderInto(parent, text, depth) {
+        if (depth >= NoteRenderer.MAX_DEPTH) {
+            parent.appendChild(document.createTextNode(text));
+            return;
+        }
+
+        let position = 0;
+        while (position < text.length) {
+            const token = NoteRenderer.findNextToken(text, position);
+            if (!token) break;
+
+            if (token.index > position) {
+                parent.appendChild(document.createTextNode(text.slice(position, token.index)));
+            }
+            parent.appendChild(NoteRenderer.createNode(token.type, token.match, depth));
+            position = token.index + token.match[0].length;
+        }
+
+        if (position < text.length) {
+            parent.appendChild(document.createTextNode(text.slice(position)));
+        }
+    }
+
+    static findNextToken(text, position) {
+        let best = null;
+        for (const { type, pattern } of NoteRenderer.TOKENS) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (match && match[0].length > 0 && (!best || match.index < best.index)) {
+                best = { type, match, index: match.index };
+            }
+        }
+        return best;
     }
 
-    set(key, content) {
-        this.cache[key] = {
-            content: content || '',
-            timestamp: Date.now()
+    static createNode(type, match, depth) {
+        switch (type) {
+            case 'spoiler':
+                return NoteRenderer.createSpoiler(match[1], depth);
+            case 'center':
+                return NoteRenderer.createContainer('div', 'note-center', match[1], depth);
+            case 'heading':
+                return NoteRenderer.createContainer(`h${Math.min(match[1].length + 2, 6)}`, 'note-heading', match[2], depth);
+            case 'quote':
+                return NoteRenderer.createContainer('blockquote', 'note-quote', match[1], depth);
+            case 'image':
+                return NoteRenderer.createImage(match[2], match[1]) || document.createTextNode(match[0]);
+            case 'markdownImage':
+                return NoteRenderer.createImage(match[1]) || document.createTextNode(match[0]);
+            case 'embed':
+                return NoteRenderer.createEmbedLink(match[1].toLowerCase(), match[2]) || document.createTextNode(match[0]);
+            case 'link':
+                return NoteRenderer.createLink(match[2], match[1], depth) || document.createTextNode(match[0]);
+            case 'bold':
+                return NoteRenderer.createContainer('strong', null, match[2], depth);
+            case 'strike':
+                return NoteRenderer.createContainer('del', null, match[1], depth);
+            case 'italic':
+                return NoteRenderer.createContainer('em', null, match[1] ?? match[2], depth);
+            case 'code': {
+                const code = document.createElement('code');
+                code.textContent = match[1];
+                return code;
+            }
+            case 'url':
+            default: {
+                // Leave trailing punctuation out of bare links
+                const url = match[0].replace(/[.,!?;:'"]+$/, '');
+                const fragment = document.createDocumentFragment();
+                fragment.appendChild(NoteRenderer.createLink(url, null, depth) || document.createTextNode(url));
+                if (url.length < match[0].length) {
+                    fragment.appendChild(document.createTextNode(match[0].slice(url.length)));
+                }
+                return fragment;
+            }
+        }
+    }
+
+    static createContainer(tagName, className, text, depth) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        NoteRenderer.renderInto(element, text, depth + 1);
+        return element;
+    }
+
+    /**
+     * Spoilers stay hidden behind a placeholder until clicked
+     */
+    static createSpoiler(text, depth) {
+        const spoiler = document.createElement('span');
+        spoiler.className = 'note-spoiler';
+
+        const label = document.createElement('span');
+        label.className = 'note-spoiler-label';
+        label.textContent = 'Spoiler, click to view';
+        label.setAttribute('role', 'button');
+        label.tabIndex = 0;
+
+        const content = NoteRenderer.createContainer('span', 'note-spoiler-content', text, depth);
+        content.hidden = true;
+
+        const reveal = (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            label.remove();
+            content.hidden = false;
+            spoiler.classList.add('revealed');
         };
+        label.addEventListener('click', reveal);
+        label.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') reveal(e);
+        });
+
+        spoiler.appendChild(label);
+        spoiler.appendChild(content);
+        return spoiler;
+    }
+
+    static createLink(url, text, depth) {
+        const href = NoteRenderer.sanitizeUrl(url);
+        if (!href) return null;
+
+        const link = document.createElement('a');
+        link.className = 'note-link';
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer nofollow';
+        if (text) {
+            NoteRenderer.renderInto(link, text, depth + 1);
+        } else {
+            link.textContent = url;
+        }
+        link.addEventListener('click', (e) => e.stopPropagation());
+        return link;
+    }
+
+    static createEmbedLink(kind, source) {
+        const url = kind === 'youtube' && !/^https?:/i.test(source)
+            ? `https://www.youtube.com/watch?v=${encodeURIComponent(source)}`
+            : source;
+        const link = NoteRenderer.createLink(url, null, 0);
+        if (link) link.textContent = kind === 'youtube' ? `▶ YouTube: ${url}` : `▶ Video: ${url}`;
+        return link;
     }
 
     /**
-     * NEW: Method to delete a specific cache entry
+     * Lazily loaded image, capped to MAX_IMAGE_WIDTH
      */
-    delete(key) {
-        if (this.cache[key]) {
-            delete this.cache[key];
-            Logger.log(`Cache entry deleted: ${key}`);
+    static createImage(url, size) {
+        const src = NoteRenderer.sanitizeUrl(url);
+        if (!src) return null;
+
+        const image = document.createElement('img');
+        image.className = 'note-image';
+        image.src = src;
+        image.alt = '';
+        image.loading = 'lazy';
+        image.decoding = 'async';
+        image.referrerPolicy = 'no-referrer';
+
+        if (size && size.endsWith('%')) {
+            image.style.width = `${Math.min(parseInt(size), 100)}%`;
+        } else if (size) {
+            image.style.width = `${Math.min(parseInt(size), NoteRenderer.MAX_IMAGE_WIDTH)}px`;
         }
+        return image;
     }
 
-    save() {
+    /**
+     * Only absolute http(s) URLs are allowed
+     */
+    static sanitizeUrl(url) {
         try {
-            localStorage.setItem('anilist_comment_cache', JSON.stringify(this.cache));
-            return true;
+            const parsed = new URL(url);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * Word-level diff between two versions of a note, shown on the raw note text
+ */
+class NoteDiff {
+    static MAX_CELLS = 250000; // Beyond this the whole note is shown as replaced
+
+    /**
+     * Returns [{ type: 'same' | 'added' | 'removed', text }]
+     */
+    static diff(before, after) {
+        const a = before.match(/\s+|\S+/g) || [];
+        const b = after.match(/\s+|\S+/g) || [];
+
+        // Common prefix and suffix need no table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last?.type === type) {
+                last.text += text;
+            } else if (text) {
+                parts.push({ type, text });
+            }
+        };
+
+        push('same', a.slice(0, start).join(''));
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        if ((midA.length + 1) * (midB.length + 1) > NoteDiff.MAX_CELLS) {
+            push('removed', midA.join(''));
+            push('added', midB.join(''));
+        } else {
+            NoteDiff.diffTokens(midA, midB).forEach(({ type, text }) => push(type, text));
+        }
+        push('same', a.slice(endA).join(''));
+        return parts;
+    }
+
+    /**
+     * Longest common subsequence walk over two token lists
+     */
+    static diffTokens(a, b) {
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const parts = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                parts.push({ type: 'same', text: a[i++] });
+                j++;
+            } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                parts.push({ type: 'removed', text: a[i++] });
+            } else {
+                parts.push({ type: 'added', text: b[j++] });
+            }
+        }
+        return parts;
+    }
+
+    static render(before, after) {
+        const container = document.createElement('div');
+        container.className = 'note-diff';
+        for (const { type, text } of NoteDiff.diff(before, after)) {
+            const tag = { same: 'span', added: 'ins', removed: 'del' }[type];
+            const part = document.createElement(tag);
+            part.textContent = text;
+            container.appendChild(part);
+        }
+        return container;
+    }
+}
+
+/**
+ * On-device note translation with Chrome's built-in Translator and
+ * LanguageDetector APIs. Notes are translated to the browser's language.
+ */
+class NoteTranslator {
+    static detector = null;
+    static translators = new Map(); // 'from-to' -> Translator promise
+
+    static isSupported() {
+        return 'Translator' in self && 'LanguageDetector' in self;
+    }
+
+    static targetLanguage() {
+        return (navigator.language || 'en').split('-')[0];
+    }
+
+    /**
+     * Whether a cached translation is in the current target language
+     */
+    static isCurrent(translation) {
+        return Boolean(translation?.text) && translation.to === NoteTranslator.targetLanguage();
+    }
+
+    static languageName(code) {
+        try {
+            return new Intl.DisplayNames([navigator.language], { type: 'language' }).of(code);
         } catch (error) {
-            Logger.warn('Cache saving failed:', error.message);
-            return false;
+            return code;
         }
     }
 
-    startPeriodicSave() {
-        if (this.saveInterval) clearInterval(this.saveInterval);
-        this.saveInterval = setInterval(() => {
-            this.save();
-        }, CONFIG.CACHE_SAVE_INTERVAL);
+    static async detect(text) {
+        NoteTranslator.detector ||= LanguageDetector.create();
+        let detector;
+        try {
+            detector = await NoteTranslator.detector;
+        } catch (error) {
+            NoteTranslator.detector = null;
+            throw error;
+        }
+        const [best] = await detector.detect(text);
+        return best && best.detectedLanguage !== 'und' ? best.detectedLanguage : null;
     }
 
-    destroy() {
-        if (this.saveInterval) clearInterval(this.saveInterval);
-        this.save();
+    /**
+     * Resolves with { from, to, text }; text is null when the note is already
+     * in the target language. Rejects when the language pair is not supported.
+     */
+    static async translate(content) {
+        const to = NoteTranslator.targetLanguage();
+        const from = await NoteTranslator.detect(content);
+        if (!from) throw new Error('Language not detected');
+        if (from === to) return { from, to, text: null };
+
+        const pair = `${from}-${to}`;
+        if (!NoteTranslator.translators.has(pair)) {
+            const options = { sourceLanguage: from, targetLanguage: to };
+            if (await Translator.availability(options) === 'unavailable') {
+                throw new Error(`Translation ${pair} unavailable`);
+            }
+            NoteTranslator.translators.set(pair, Translator.create(options));
+        }
+
+        try {
+            const translator = await NoteTranslator.translators.get(pair);
+            return { from, to, text: await translator.translate(content) };
+        } catch (error) {
+            NoteTranslator.translators.delete(pair); // Let a later attempt start over
+            throw error;
+        }
+    }
+}
+
+/**
+ * Blurs notes written by users who are further into a media than the reader,
+ * the logged-in user or the username set in the options.
+ */
+class SpoilerGuard {
+    static revealed = new Set(); // Cache keys of notes revealed on this page
+    static requested = new Set(); // Reader entries fetched on this page
+
+    static reset() {
+        SpoilerGuard.revealed.clear();
+        SpoilerGuard.requested.clear();
+    }
+
+    static readerName() {
+        return CONFIG.SPOILER_USERNAME || app.viewer?.name || null;
+    }
+
+    static isReader(username) {
+        const reader = SpoilerGuard.readerName();
+        return Boolean(reader) && reader.toLowerCase() === String(username).toLowerCase();
+    }
+
+    /**
+     * How far a list entry got: { value, finished }
+     */
+    static progressOf(details) {
+        if (!details) return { value: 0, finished: false };
+        const total = details.mediaType === 'MANGA' ? details.chapters : details.episodes;
+        if (details.status === 'COMPLETED' || details.status === 'REPEATING') {
+            return { value: total || details.progress || 0, finished: true };
+        }
+        return { value: details.progress || 0, finished: false };
+    }
+
+    /**
+     * Returns the warning to show over an author's note, or null when it is safe.
+     * The reader's own entry is fetched once per page; while that fetch runs every
+     * note is hidden, and the cache change that delivers it redraws them. If the
+     * reader's progress can't be known (failed or cancelled fetch), nothing is hidden.
+     */
+    static getWarning(username, mediaId, authorDetails) {
+        const reader = SpoilerGuard.readerName();
+        if (!CONFIG.SPOILER_GUARD || !reader || SpoilerGuard.isReader(username)) return null;
+        if (SpoilerGuard.revealed.has(cacheKey(username, mediaId))) return null;
+
+        const readerKey = cacheKey(reader, mediaId);
+        const readerEntry = app.cacheClient.get(readerKey);
+        if (!readerEntry && !SpoilerGuard.requested.has(readerKey)) {
+            SpoilerGuard.requested.add(readerKey);
+            app.apiClient.queueRequest(reader, mediaId, REQUEST_PRIORITY.HOVER).then(hasContent => {
+                if (hasContent === null) app.rerenderNotes(); // Cancelled: no cache change will redraw them
+            });
+        }
+        if (!readerEntry) {
+            return app.apiClient.isPending(reader, mediaId) ? 'Checking your progress for spoilers...' : null;
+        }
+        if (readerEntry.status === NOTE_STATUS.ERROR) return null;
+
+        const theirs = SpoilerGuard.progressOf(authorDetails);
+        const mine = SpoilerGuard.progressOf(readerEntry.details);
+        const ahead = theirs.finished ? !(theirs.value && mine.value >= theirs.value) : theirs.value > mine.value;
+        if (mine.finished || !ahead) return null;
+
+        const unit = authorDetails?.mediaType === 'MANGA' ? 'ch' : 'ep';
+        const theirText = theirs.finished ? "they've finished it" : `they're at ${unit} ${theirs.value}`;
+        const myText = mine.value ? `you're at ${unit} ${mine.value}` : "you haven't started";
+        return `May contain spoilers — ${theirText}, ${myText}`;
+    }
+
+    /**
+     * Blurs a rendered note behind a warning that reveals it on click
+     */
+    static protect(note, key, warning) {
+        const guard = document.createElement('div');
+        guard.className = 'note-spoiler-guard';
+
+        const reveal = document.createElement('button');
+        reveal.className = 'note-spoiler-guard-reveal';
+        reveal.textContent = warning;
+        reveal.title = 'Show note';
+        reveal.addEventListener('click', (e) => {
+            e.stopPropagation();
+            SpoilerGuard.revealed.add(key);
+            note.classList.remove('note-blurred');
+            note.removeAttribute('aria-hidden');
+            guard.replaceWith(note);
+        });
+
+        note.classList.add('note-blurred');
+        note.setAttribute('aria-hidden', 'true');
+        guard.appendChild(reveal);
+        guard.appendChild(note);
+        return guard;
     }
 }
 
 /**
- * Cached comment with negative caching support
+ * Anilist's site theme, which Anilist marks with a class on <body>:
+ * site-theme-dark, site-theme-contrast, or none for the default light theme.
  */
-class CachedComment {
-    constructor(content, timestamp) {
-        this.content = content;
-        this.timestamp = timestamp;
+class SiteTheme {
+    static THEMES = ['light', 'dark', 'contrast'];
+
+    static detect() {
+        const classes = [...document.documentElement.classList, ...document.body.classList];
+        if (classes.includes('site-theme-contrast')) return 'contrast';
+        if (classes.includes('site-theme-dark')) return 'dark';
+        return 'light';
+    }
+
+    /**
+     * The theme to draw with: the THEME setting, or Anilist's own theme on 'auto'
+     */
+    static current() {
+        return SiteTheme.THEMES.includes(CONFIG.THEME) ? CONFIG.THEME : SiteTheme.detect();
     }
 
-    isValid() {
-        return (Date.now() - this.timestamp) < CONFIG.CACHE_MAX_AGE;
+    /**
+     * Sets the theme-* class of an element, leaving its other classes alone
+     */
+    static apply(element) {
+        const theme = SiteTheme.current();
+        SiteTheme.THEMES.forEach(name => element.classList.toggle(`theme-${name}`, name === theme));
+    }
+
+    /**
+     * Calls back when Anilist switches theme, which it does without a reload
+     */
+    static watch(callback) {
+        const observer = new MutationObserver(callback);
+        const options = { attributes: true, attributeFilter: ['class'] };
+        observer.observe(document.documentElement, options);
+        observer.observe(document.body, options);
+        return observer;
     }
+}
+
+/**
+ * Side panel listing the notes of every followed user for the current media.
+ * Only reads the cache; users are fetched by the Following section as usual.
+ */
+class NotesPanel {
+    constructor(cacheClient) {
+        this.cacheClient = cacheClient;
+        this.panel = null;
+        this.mediaId = null;
+        this.users = [];
+        this.sortBy = 'score'; // 'score' or 'updated'
+        this.hideEmpty = true;
+        this.keyHandler = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+    }
+
+    isOpen() {
+        return Boolean(this.panel && this.mediaId !== null);
+    }
+
+    toggle(mediaId, users) {
+        if (this.isOpen() && this.mediaId === mediaId) {
+            this.close();
+        } else {
+            this.open(mediaId, users);
+        }
+    }
+
+    open(mediaId, users) {
+        this.mediaId = mediaId;
+        this.users = users;
+        this.getPanel().hidden = false;
+        document.addEventListener('keydown', this.keyHandler);
+        this.render();
+    }
+
+    close() {
+        if (!this.panel) return;
+        this.panel.hidden = true;
+        this.mediaId = null;
+        this.users = [];
+        document.removeEventListener('keydown', this.keyHandler);
+    }
+
+    applyTheme() {
+        if (this.panel) SiteTheme.apply(this.panel);
+    }
+
+    /**
+     * Re-renders when an entry for the displayed media changes
+     */
+    updateIfOpen(mediaId) {
+        if (this.isOpen() && this.mediaId === mediaId) {
+            this.render();
+        }
+    }
+
+    getPanel() {
+        if (this.panel) return this.panel;
+
+        this.panel = document.createElement('aside');
+        this.panel.id = 'anilist-notes-panel';
+        SiteTheme.apply(this.panel);
+        this.panel.hidden = true;
+        this.panel.setAttribute('aria-label', 'Notes from people you follow');
+
+        const header = document.createElement('div');
+        header.className = 'notes-panel-header';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Notes from people you follow';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'notes-panel-close';
+        closeBtn.title = 'Close';
+        closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+        closeBtn.addEventListener('click', () => this.close());
+
+        header.appendChild(title);
+        header.appendChild(closeBtn);
+
+        const controls = document.createElement('div');
+        controls.className = 'notes-panel-controls';
+
+        const sortSelect = document.createElement('select');
+        sortSelect.setAttribute('aria-label', 'Sort by');
+        for (const [value, text] of [['score', 'Sort by score'], ['updated', 'Sort by last update']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            sortSelect.appendChild(option);
+        }
+        sortSelect.value = this.sortBy;
+        sortSelect.addEventListener('change', () => {
+            this.sortBy = sortSelect.value;
+            this.render();
+        });
+
+        const hideLabel = document.createElement('label');
+        const hideCheckbox = document.createElement('input');
+        hideCheckbox.type = 'checkbox';
+        hideCheckbox.checked = this.hideEmpty;
+        hideCheckbox.addEventListener('change', () => {
+            this.hideEmpty = hideCheckbox.checked;
+            this.render();
+        });
+        hideLabel.appendChild(hideCheckbox);
+        hideLabel.appendChild(document.createTextNode(' Hide users without notes'));
+
+        controls.appendChild(sortSelect);
+        controls.appendChild(hideLabel);
+
+        this.list = document.createElement('ul');
+        this.list.className = 'notes-panel-list';
+
+        this.panel.appendChild(header);
+        this.panel.appendChild(controls);
+        this.panel.appendChild(this.list);
+        document.body.appendChild(this.panel);
+        return this.panel;
+    }
+
+    /**
+     * Collects the cached entries of the panel's users, filtered and sorted
+     */
+    getRows() {
+        const rows = this.users.map(user => ({
+            ...user,
+            cachedComment: this.cacheClient.get(cacheKey(user.username, this.mediaId))
+        }));
+
+        const visible = this.hideEmpty ? rows.filter(row => row.cachedComment?.hasContent()) : rows;
+        const details = row => row.cachedComment?.details || {};
+
+        return visible.sort((a, b) => {
+            if (this.sortBy === 'updated') {
+                return (details(b).updatedAt || 0) - (details(a).updatedAt || 0);
+            }
+            return EntryFormatter.normalizeScore(details(b).score, details(b).scoreFormat)
+                - EntryFormatter.normalizeScore(details(a).score, details(a).scoreFormat);
+        });
+    }
+
+    render() {
+        if (!this.isOpen()) return;
+        this.list.innerHTML = '';
+
+        const rows = this.getRows();
+        if (rows.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'notes-panel-empty';
+            empty.textContent = this.users.length === 0 ? 'No followed users on this page.' : 'No notes yet.';
+            this.list.appendChild(empty);
+            return;
+        }
 
-    isNegativeCacheValid() {
-        if (this.hasContent()) return false;
-        return (Date.now() - this.timestamp) < CONFIG.NEGATIVE_CACHE_AGE;
+        rows.forEach(row => this.list.appendChild(this.createRow(row)));
     }
 
-    hasContent() {
-        return this.content && this.content.trim() !== '';
-    }
+    createRow({ username, avatar, cachedComment }) {
+        const item = document.createElement('li');
+        item.className = 'notes-panel-item';
+
+        const header = document.createElement('div');
+        header.className = 'notes-panel-item-header';
+
+        const avatarEl = document.createElement('span');
+        avatarEl.className = 'notes-panel-avatar';
+        if (avatar) avatarEl.style.backgroundImage = `url(${JSON.stringify(avatar)})`;
+
+        const name = document.createElement('a');
+        name.className = 'notes-panel-name';
+        name.href = `/user/${encodeURIComponent(username)}/`;
+        name.textContent = username;
+
+        const meta = document.createElement('span');
+        meta.className = 'notes-panel-meta';
+        const details = cachedComment?.details;
+        if (details) {
+            const status = EntryFormatter.formatStatus(details.status, details.mediaType);
+            const score = EntryFormatter.formatScore(details.score, details.scoreFormat);
+            meta.textContent = [status, score].filter(Boolean).join(' · ');
+        }
 
-    getAge() {
-        return Date.now() - this.timestamp;
-    }
+        header.appendChild(avatarEl);
+        header.appendChild(name);
+        header.appendChild(meta);
+
+        const note = document.createElement('div');
+        if (!cachedComment) {
+            note.className = 'no-comment';
+            note.textContent = 'Not loaded yet';
+        } else if (cachedComment.hasContent()) {
+            note.className = 'comment';
+            note.appendChild(NoteRenderer.render(cachedComment.content));
+        } else {
+            note.className = 'no-comment';
+            note.textContent = EntryFormatter.formatNoteStatus(cachedComment.status);
+        }
 
-    getFormattedAge() {
-        const now = new Date();
-        const diffMs = now - this.timestamp;
-        const diffSec = Math.floor(diffMs / 1000);
-        const diffMin = Math.floor(diffSec / 60);
-        const diffHour = Math.floor(diffMin / 60);
+        const spoilerWarning = cachedComment?.hasContent() &&
+            SpoilerGuard.getWarning(username, this.mediaId, cachedComment.details);
 
-        if (diffSec < 30) return "just now";
-        if (diffMin < 1) return `${diffSec} sec ago`;
-        if (diffHour < 1) return `${diffMin} min ago`;
-        if (diffHour < 24) return `${diffHour} hours ago`;
+        item.appendChild(header);
+        item.appendChild(spoilerWarning ? SpoilerGuard.protect(note, cacheKey(username, this.mediaId), spoilerWarning) : note);
+        return item;
+    }
 
-        return new Date(this.timestamp).toLocaleDateString();
+    destroy() {
+        this.close();
+        if (this.panel) this.panel.remove();
+        this.panel = null;
     }
 }
 
 /**
- * Enhanced API manager with silent error handling
+ * Notes pinned as draggable cards, to compare several users side by side.
+ * Cards live on <body>, so they outlast re-renders of the Following list;
+ * they are cleared when the page switches to another media or list.
  */
-class ApiManager {
-    constructor(cacheManager) {
-        this.cacheManager = cacheManager;
-        this.tooltipManager = null; // Will be set by 'setTooltipManager'
-        this.queue = [];
-        this.pendingRequests = new Set();
-        this.isProcessing = false;
-        this.requestCount = 0;
-        this.lastReset = Date.now();
-        this.isRateLimited = false;
-    }
+class PinnedCards {
+    static Z_INDEX_BASE = 99000; // Below the tooltip (100000) and the notes panel (100001)
 
-    setTooltipManager(tooltipManager) {
+    constructor(tooltipManager) {
         this.tooltipManager = tooltipManager;
+        this.cards = new Map(); // cache key -> card element
+        this.stack = []; // Cards from back to front
+        this.context = null; // Page the cards belong to
+        this.closeAllButton = null;
     }
 
-    queueRequest(entry, username, mediaId, callback) {
-        const requestKey = `${username}-${mediaId}`;
-        if (this.pendingRequests.has(requestKey)) return;
-
-        this.pendingRequests.add(requestKey);
-        this.queue.push({ entry, username, mediaId, callback, requestKey });
-
-        if (!this.isProcessing) {
-            this.processQueue();
-        }
+    /**
+     * Clears the cards when the page context (media or list) changes
+     */
+    setContext(context) {
+        if (context === this.context) return;
+        this.context = context;
+        this.clear();
     }
 
-    async processQueue() {
-        if (this.queue.length === 0) {
-            this.isProcessing = false;
+    pin(username, mediaId, rect) {
+        const key = cacheKey(username, mediaId);
+        if (this.cards.has(key)) {
+            this.bringToFront(this.cards.get(key));
             return;
         }
-        this.isProcessing = true;
 
-        while (this.queue.length > 0) {
-            if (!this.checkRateLimit()) {
-                setTimeout(() => this.processQueue(), CONFIG.RATE_LIMIT_DURATION);
-                return;
-            }
+        const card = document.createElement('div');
+        card.className = 'anilist-pinned-card';
+        card.setAttribute('role', 'dialog');
+        card.setAttribute('aria-label', `Note by ${username}`);
+        card.style.setProperty('--anilist-tooltip-width', `${CONFIG.TOOLTIP_WIDTH}px`);
+        SiteTheme.apply(card);
+
+        const header = document.createElement('div');
+        header.className = 'pinned-card-header';
+        const title = document.createElement('span');
+        title.textContent = username;
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'pinned-card-close';
+        closeBtn.title = 'Close';
+        closeBtn.setAttribute('aria-label', `Close note by ${username}`);
+        closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+        closeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.unpin(key);
+        });
+        header.appendChild(title);
+        header.appendChild(closeBtn);
+
+        const body = document.createElement('div');
+        body.className = 'pinned-card-body';
+
+        card.appendChild(header);
+        card.appendChild(body);
+        card.addEventListener('pointerdown', () => this.bringToFront(card));
+        this.setupDrag(card, header);
+
+        document.body.appendChild(card);
+        this.cards.set(key, card);
+        this.moveTo(card, rect.left, rect.top);
+        this.bringToFront(card);
+        this.render(username, mediaId);
+        this.updateCloseAll();
+    }
 
-            const request = this.queue.shift();
-            // Add check if request is null (can happen in race conditions)
-            if (request) {
-                await this.processRequest(request);
-            }
+    unpin(key) {
+        const card = this.cards.get(key);
+        if (!card) return;
+        card.remove();
+        this.cards.delete(key);
+        this.stack = this.stack.filter(other => other !== card);
+        this.updateCloseAll();
+    }
 
-            if (this.queue.length > 0) {
-                await this.delay(CONFIG.BATCH_DELAY);
-            }
+    clear() {
+        [...this.cards.keys()].forEach(key => this.unpin(key));
+    }
+
+    /**
+     * Re-renders a pinned card when its cache entry changes
+     */
+    updateIfPinned(username, mediaId) {
+        if (this.cards.has(cacheKey(username, mediaId))) {
+            this.render(username, mediaId);
         }
-        this.isProcessing = false;
     }
 
-    async processRequest(request) {
-        // We destructure only what's needed in the try block.
-        const { username, mediaId, callback } = request;
-        try {
-            const comment = await this.fetchUserComment(username, mediaId);
+    /**
+     * Redraws every pinned card from the cache
+     */
+    rerender() {
+        this.cards.forEach((card, key) => {
+            const { username, mediaId } = parseCacheKey(key);
+            this.render(username, mediaId);
+        });
+    }
 
-            const cacheKey = `${username}-${mediaId}`;
-            this.cacheManager.set(cacheKey, comment);
+    render(username, mediaId) {
+        const card = this.cards.get(cacheKey(username, mediaId));
+        const body = card.querySelector('.pinned-card-body');
+        const cachedComment = app.cacheClient.get(cacheKey(username, mediaId));
 
-            if (callback) {
-                callback(comment && comment.trim() !== '');
-            }
-        } catch (error) {
-            Logger.warn(`API request failed for ${request.username}: ${error.message}`);
-            // Set negative cache
-            this.cacheManager.set(`${request.username}-${request.mediaId}`, '');
-            if (request.callback) {
-                request.callback(false);
-            }
-        } finally {
-            // Use request.requestKey directly to fix 'unused variable' warning
-            this.pendingRequests.delete(request.requestKey);
-        }
+        const footer = document.createElement('div');
+        footer.className = 'tooltip-footer';
+        footer.appendChild(this.tooltipManager.createCacheInfo(cachedComment));
+        footer.appendChild(this.tooltipManager.createRefreshButton(username, mediaId));
+
+        body.innerHTML = '';
+        body.appendChild(this.tooltipManager.createNoteContent(username, mediaId, cachedComment));
+        body.appendChild(footer);
+    }
+
+    applyTheme() {
+        this.cards.forEach(card => SiteTheme.apply(card));
     }
 
     /**
-     * Public function for manual refresh from the tooltip
+     * Moves a card on top of the others, renumbering them from Z_INDEX_BASE
      */
-    async refreshComment(username, mediaId) {
-        if (!this.checkRateLimit()) {
-            Logger.warn("Rate limit hit, refresh failed.");
-            return 'rate_limited';
-        }
-
-        try {
-            const comment = await this.fetchUserComment(username, mediaId);
-            const cacheKey = `${username}-${mediaId}`;
-            this.cacheManager.set(cacheKey, comment);
-
-            // Update tooltip if it's visible
-            if (this.tooltipManager) {
-                const cachedComment = this.cacheManager.get(cacheKey);
-                this.tooltipManager.updateIfVisible(username, mediaId, cachedComment);
-            }
-            return 'success';
-        } catch (error) {
-            Logger.error("Manual refresh failed:", error.message);
-            return 'error';
-        }
+    bringToFront(card) {
+        this.stack = this.stack.filter(other => other !== card);
+        this.stack.push(card);
+        this.stack.forEach((other, i) => {
+            other.style.zIndex = PinnedCards.Z_INDEX_BASE + i;
+        });
     }
 
-    checkRateLimit() {
-        const now = Date.now();
-        if (now - this.lastReset > CONFIG.RATE_LIMIT_DURATION) {
-            this.requestCount = 0;
-            this.lastReset = now;
-            this.isRateLimited = false;
-        }
-        if (this.requestCount >= CONFIG.MAX_REQUESTS_PER_MINUTE) {
-            this.isRateLimited = true;
-            return false;
-        }
-        this.requestCount++;
-        return true;
+    /**
+     * Places a card, keeping its header inside the viewport
+     */
+    moveTo(card, left, top) {
+        const maxLeft = window.innerWidth - card.offsetWidth;
+        const maxTop = window.innerHeight - card.querySelector('.pinned-card-header').offsetHeight;
+        card.style.left = `${Math.max(0, Math.min(left, maxLeft))}px`;
+        card.style.top = `${Math.max(0, Math.min(top, maxTop))}px`;
     }
 
-    async fetchUserComment(username, mediaId) {
-        const query = `
-            query ($userName: String, $mediaId: Int) {
-                MediaList(userName: $userName, mediaId: $mediaId) {
-                    notes
-                }
-            }
-        `;
-        const variables = { userName: username, mediaId: parseInt(mediaId) };
-        const response = await fetch("https://graphql.anilist.co", {
-            method: "POST",
-            headers: { "Content-Type": "application/json", "Accept": "application/json" },
-            body: JSON.stringify({ query, variables })
+    setupDrag(card, handle) {
+        let offset = null;
+
+        handle.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('button')) return;
+            const rect = card.getBoundingClientRect();
+            offset = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            handle.setPointerCapture(e.pointerId);
+            e.preventDefault();
         });
-        if (!response.ok) {
-            if (response.status === 429) this.isRateLimited = true;
-            throw new Error(`HTTP ${response.status}`);
-        }
-        const data = await response.json();
-        if (data.errors) throw new Error('GraphQL errors');
-        return data.data?.MediaList?.notes || "";
+        handle.addEventListener('pointermove', (e) => {
+            if (offset) this.moveTo(card, e.clientX - offset.x, e.clientY - offset.y);
+        });
+        const stop = () => {
+            offset = null;
+        };
+        handle.addEventListener('pointerup', stop);
+        handle.addEventListener('pointercancel', stop);
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    /**
+     * Shows a "Close all" button while two or more cards are pinned
+     */
+    updateCloseAll() {
+        if (!this.closeAllButton) {
+            this.closeAllButton = document.createElement('button');
+            this.closeAllButton.className = 'anilist-pinned-close-all';
+            this.closeAllButton.textContent = 'Close all notes';
+            this.closeAllButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.clear();
+            });
+            document.body.appendChild(this.closeAllButton);
+        }
+        this.closeAllButton.hidden = this.cards.size < 2;
     }
 
     destroy() {
-        this.queue = [];
-        this.pendingRequests.clear();
+        this.clear();
+        if (this.closeAllButton) this.closeAllButton.remove();
+        this.closeAllButton = null;
     }
 }
 
@@ -700,15 +2279,15 @@ class ApiManager {
 class TooltipManager {
     static #instance = null;
 
-    static getInstance(apiManager) {
+    static getInstance(apiClient) {
         if (!TooltipManager.#instance) {
-            TooltipManager.#instance = new TooltipManager(apiManager);
+            TooltipManager.#instance = new TooltipManager(apiClient);
         }
         return TooltipManager.#instance;
     }
 
-    constructor(apiManager) {
-        this.apiManager = apiManager;
+    constructor(apiClient) {
+        this.apiClient = apiClient;
         this.tooltip = null;
         this.currentElement = null;
         this.currentUsername = null;
@@ -717,19 +2296,64 @@ class TooltipManager {
         this.timers = new Map();
         this.hoverStates = { icon: false, tooltip: false };
         this.forceVisible = false;
+        this.openedByFocus = false; // Opened from the keyboard, closes when focus moves away
+        this.restoringFocus = false;
+        this.pointerType = window.matchMedia('(hover: none)').matches ? 'touch' : 'mouse'; // Last pointer used
+        this.editing = null; // { username, mediaId, baseContent } while the note editor is open
+        this.translatedKeys = new Set(); // Notes currently shown translated
+        this.diffVersions = new Map(); // Notes currently showing changes -> compared history index
 
         this.setupGlobalListeners();
-        this.startAutoHideChecker();
     }
 
     setupGlobalListeners() {
+        document.addEventListener('pointerdown', (e) => {
+            this.pointerType = e.pointerType;
+        }, true);
+
         // Use 'pointermove' for better compatibility
         document.addEventListener('pointermove', (e) => {
+            this.pointerType = e.pointerType;
+            if (e.pointerType === 'touch') return; // A finger leaving the icon is not a hover ending
             this.mousePosition = { x: e.clientX, y: e.clientY };
+            this.checkAutoHide();
+        });
+
+        // In click mode the tooltip stays open until a click (or tap) outside of it
+        document.addEventListener('click', (e) => {
+            if (!this.isClickMode() || this.state === 'inactive') return;
+            if (this.tooltip?.contains(e.target) || this.currentElement?.contains(e.target)) return;
+            this.forceVisible = false;
+            this.hide(true);
         });
     }
 
+    /**
+     * Click mode is the configured trigger, and always applies to touch input
+     */
+    isClickMode() {
+        return CONFIG.TRIGGER_MODE === 'click' || this.pointerType === 'touch';
+    }
+
+    applyTheme() {
+        if (this.tooltip) SiteTheme.apply(this.tooltip);
+    }
+
+    /**
+     * Re-applies settings that affect the tooltip element
+     */
+    applySettings(changedKeys) {
+        if (changedKeys.includes('TOOLTIP_WIDTH') && this.tooltip) {
+            this.tooltip.style.setProperty('--anilist-tooltip-width', `${CONFIG.TOOLTIP_WIDTH}px`);
+        }
+        if (changedKeys.includes('TRIGGER_MODE')) {
+            this.forceVisible = false;
+            this.hide(true);
+        }
+    }
+
     handleIconEnter(element, username, mediaId) {
+        if (this.isClickMode()) return;
         Logger.log('Icon enter:', username);
         this.hoverStates.icon = true;
         this.forceVisible = false;
@@ -742,6 +2366,7 @@ class TooltipManager {
     }
 
     handleIconLeave() {
+        if (this.isClickMode()) return;
         Logger.log('Icon leave');
         this.hoverStates.icon = false;
         this.clearTimer('show');
@@ -750,21 +2375,92 @@ class TooltipManager {
         }
     }
 
+    /**
+     * Shows the tooltip for keyboard focus. Mouse clicks also focus icons,
+     * so only focus that the browser would draw a focus ring for counts.
+     */
+    handleIconFocus(element, username, mediaId) {
+        if (this.restoringFocus || !element.matches(':focus-visible')) return;
+        this.openedByFocus = true;
+        this.forceVisible = true;
+        this.clearTimer('hide');
+        this.clearTimer('show');
+        this.show(element, username, mediaId);
+    }
+
+    /**
+     * Closes a keyboard-opened tooltip once focus leaves both the icon and the tooltip
+     */
+    handleFocusLeave(nextFocus) {
+        if (!this.openedByFocus || this.editing) return;
+        if (nextFocus && (this.tooltip?.contains(nextFocus) || nextFocus === this.currentElement)) return;
+        if (nextFocus?.querySelector?.(SELECTORS.COMMENT_ICON)) return; // The next icon takes over
+        this.close(false);
+    }
+
+    /**
+     * Opens the tooltip (if needed) and moves focus into it, for its buttons and links
+     */
+    focusTooltip(element, username, mediaId) {
+        if (this.currentElement !== element || this.state === 'inactive' || this.state === 'hiding') {
+            this.openedByFocus = true;
+            this.forceVisible = true;
+            this.show(element, username, mediaId);
+        }
+        const tooltip = this.getTooltip();
+        tooltip.setAttribute('role', 'dialog');
+        tooltip.setAttribute('aria-label', `Note by ${username}`);
+        tooltip.focus();
+    }
+
+    /**
+     * Force-hides the tooltip, returning focus to its icon if focus was inside it
+     */
+    close(restoreFocus = true) {
+        const element = this.currentElement;
+        const hadFocus = this.tooltip?.contains(document.activeElement);
+        this.forceVisible = false;
+        this.openedByFocus = false;
+        this.hide(true);
+        if (restoreFocus && hadFocus && element) {
+            this.restoringFocus = true; // Don't reopen from the icon's focus handler
+            element.focus();
+            this.restoringFocus = false;
+        }
+    }
+
     handleIconClick(element, username, mediaId) {
         Logger.log('Icon click:', username);
+        const isClickMode = this.isClickMode();
+
+        // In click mode a second click on the same icon closes the tooltip
+        if (isClickMode && this.state !== 'inactive' && this.state !== 'hiding' && this.currentElement === element) {
+            this.forceVisible = false;
+            this.hide(true);
+            return;
+        }
+
         this.forceVisible = true;
         this.clearTimer('hide');
         this.clearTimer('show');
         this.show(element, username, mediaId);
 
         // Disable force-visible after a delay
-        this.setTimer('force_hide', () => {
-            this.forceVisible = false;
-        }, 3000);
+        if (!isClickMode) {
+            this.setTimer('force_hide', () => {
+                this.forceVisible = false;
+            }, 3000);
+        }
     }
 
     show(element, username, mediaId) {
         this.clearTimer('hide');
+        if (this.editing && (this.editing.username !== username || this.editing.mediaId !== mediaId)) {
+            this.editing = null; // Switching users discards the open editor
+        }
+        if (this.currentElement && this.currentElement !== element) {
+            this.currentElement.removeAttribute('aria-describedby');
+        }
         this.currentElement = element;
         this.currentUsername = username;
         this.currentMediaId = mediaId;
@@ -775,6 +2471,9 @@ class TooltipManager {
         });
 
         const tooltip = this.getTooltip();
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.removeAttribute('aria-label');
+        element.setAttribute('aria-describedby', tooltip.id);
         this.positionTooltip(element);
         tooltip.style.opacity = '0';
         tooltip.style.display = 'block';
@@ -803,6 +2502,9 @@ class TooltipManager {
             this.setTimer('transition_end', () => {
                 if (this.state === 'hiding' && this.tooltip) {
                     this.tooltip.style.display = 'none';
+                    this.editing = null;
+                    this.openedByFocus = false;
+                    this.currentElement?.removeAttribute('aria-describedby');
                     this.currentElement = null;
                     this.currentUsername = null;
                     this.currentMediaId = null;
@@ -819,26 +2521,37 @@ class TooltipManager {
         if (!this.tooltip) {
             this.tooltip = document.createElement('div');
             this.tooltip.id = 'anilist-tooltip';
-            this.tooltip.className = 'theme-dark'; // Default
+            SiteTheme.apply(this.tooltip);
+            this.tooltip.setAttribute('role', 'tooltip');
+            this.tooltip.tabIndex = -1; // Focusable from the icon with Enter
+            this.tooltip.style.setProperty('--anilist-tooltip-width', `${CONFIG.TOOLTIP_WIDTH}px`);
             this.tooltip.style.display = 'none';
             this.tooltip.style.opacity = '0';
             document.body.appendChild(this.tooltip);
             this.setupTooltipEvents();
         }
-        // TODO: Detect light/dark theme from body
         return this.tooltip;
     }
 
     setupTooltipEvents() {
-        this.tooltip.addEventListener('mouseenter', () => {
+        this.tooltip.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+        this.tooltip.addEventListener('focusout', (e) => this.handleFocusLeave(e.relatedTarget));
+        this.tooltip.addEventListener('pointerenter', (e) => {
+            if (e.pointerType === 'touch') return;
             Logger.log('Tooltip enter');
             this.hoverStates.tooltip = true;
             this.clearTimer('hide');
         });
-        this.tooltip.addEventListener('mouseleave', () => {
+        this.tooltip.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'touch') return;
             Logger.log('Tooltip leave');
             this.hoverStates.tooltip = false;
-            if (!this.hoverStates.icon && !this.forceVisible) {
+            if (!this.hoverStates.icon && !this.forceVisible && !this.isClickMode()) {
                 this.setTimer('hide', () => this.hide(), CONFIG.TOOLTIP_HIDE_DELAY);
             }
         });
@@ -847,6 +2560,15 @@ class TooltipManager {
     positionTooltip(element) {
         const tooltip = this.getTooltip();
 
+        // 0. Narrow viewports: fixed sheet along the bottom edge (see styles.css)
+        const isBottomSheet = window.matchMedia(`(max-width: ${CONFIG.BOTTOM_SHEET_MAX_WIDTH}px)`).matches;
+        tooltip.classList.toggle('bottom-sheet', isBottomSheet);
+        if (isBottomSheet) {
+            tooltip.style.left = '';
+            tooltip.style.top = '';
+            return;
+        }
+
         // 1. Find elements: icon, parent row, and the entire section
         const iconRect = element.getBoundingClientRect();
         const parentRow = element.closest('a'); // The entire user row
@@ -855,7 +2577,7 @@ class TooltipManager {
 
         // Default values
         const gap = 15; // Gap from edge
-        const tooltipWidth = tooltip.offsetWidth || 265; // 265px from CSS
+        const tooltipWidth = tooltip.offsetWidth || CONFIG.TOOLTIP_WIDTH;
 
         let posX = 0;
         let posY = 0;
@@ -915,12 +2637,27 @@ class TooltipManager {
     }
 
     loadComment(username, mediaId) {
-        const cachedComment = app.cacheManager.get(`${username}-${mediaId}`);
+        const cachedComment = app.cacheClient.get(cacheKey(username, mediaId));
+        if (this.editing) {
+            this.renderEditor(username, mediaId, cachedComment);
+            return;
+        }
         this.updateTooltipContent(username, mediaId, cachedComment);
 
-        // Fetch if cache is expired (will be handled by updateIfVisible)
-        if (!cachedComment?.isValid() && !this.apiManager.isRateLimited) {
-            this.apiManager.refreshComment(username, mediaId);
+        // Fetch ahead of everything else if the cache is expired (will be handled by updateIfVisible)
+        if (!cachedComment?.isValid() && !this.apiClient.isRateLimited) {
+            this.apiClient.queueRequest(username, mediaId, REQUEST_PRIORITY.HOVER);
+        }
+    }
+
+    /**
+     * Redraws the open tooltip from the cache
+     */
+    rerender() {
+        if (this.state !== 'visible' || !this.currentUsername) return;
+        const cachedComment = app.cacheClient.get(cacheKey(this.currentUsername, this.currentMediaId));
+        if (cachedComment) {
+            this.updateIfVisible(this.currentUsername, this.currentMediaId, cachedComment);
         }
     }
 
@@ -934,6 +2671,11 @@ class TooltipManager {
             this.currentMediaId === mediaId
         ) {
             Logger.log(`Tooltip refresh for ${username}`);
+            if (this.editing) {
+                // Never clobber the editor; the save will detect the conflict
+                this.editing.remoteChanged = cachedComment.content !== this.editing.baseContent;
+                return;
+            }
             this.updateTooltipContent(username, mediaId, cachedComment);
         }
     }
@@ -945,18 +2687,193 @@ class TooltipManager {
         const tooltip = this.getTooltip();
         tooltip.innerHTML = ''; // Clear
 
+        const footerDiv = document.createElement('div');
+        footerDiv.className = 'tooltip-footer';
+        footerDiv.appendChild(this.createCacheInfo(cachedComment));
+
+        if (app.isOwnEntry(username) && cachedComment?.details) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'tooltip-refresh-btn tooltip-edit-btn';
+            editBtn.innerHTML = cachedComment.hasContent() ? '<i class="fas fa-pen"></i> Edit' : '<i class="fas fa-plus"></i> Add note';
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openEditor(username, mediaId, cachedComment);
+            });
+            footerDiv.appendChild(editBtn);
+        }
+
+        if (NoteTranslator.isSupported() && cachedComment?.hasContent()) {
+            footerDiv.appendChild(this.createTranslateButton(username, mediaId));
+        }
+
+        const pinBtn = document.createElement('button');
+        pinBtn.className = 'tooltip-refresh-btn tooltip-pin-btn';
+        pinBtn.innerHTML = '<i class="fas fa-thumbtack"></i>';
+        pinBtn.title = 'Pin';
+        pinBtn.setAttribute('aria-label', 'Pin this note');
+        pinBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pin();
+        });
+        footerDiv.appendChild(pinBtn);
+
+        footerDiv.appendChild(this.createRefreshButton(username, mediaId));
+        const translated = this.translatedKeys.has(cacheKey(username, mediaId));
+        const contentDiv = this.createNoteContent(username, mediaId, cachedComment, translated);
+        const guarded = Boolean(contentDiv.querySelector('.note-spoiler-guard'));
+        if (cachedComment?.isEdited() && !guarded) {
+            this.addHistory(contentDiv, username, mediaId, cachedComment);
+        }
+        tooltip.appendChild(contentDiv);
+        tooltip.appendChild(footerDiv);
+
+        if (!guarded) {
+            app.markRead(username, mediaId, cachedComment);
+        }
+    }
+
+    /**
+     * Adds the "edited" badge above a note. When toggled on, the note is
+     * replaced by what changed since a previous version.
+     */
+    addHistory(contentDiv, username, mediaId, cachedComment) {
+        const key = cacheKey(username, mediaId);
+        const showingChanges = this.diffVersions.has(key);
+        const note = contentDiv.querySelector('.comment');
+
+        const badge = document.createElement('button');
+        badge.className = 'note-edited-badge';
+        badge.innerHTML = '<i class="fas fa-history"></i> Edited';
+        badge.title = showingChanges ? 'Show current note' : 'Show changes';
+        badge.setAttribute('aria-pressed', String(showingChanges));
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (showingChanges) {
+                this.diffVersions.delete(key);
+            } else {
+                this.diffVersions.set(key, 0);
+            }
+            this.updateIfVisible(username, mediaId, app.cacheClient.get(key));
+        });
+        note.before(badge);
+        if (!showingChanges) return;
+
+        const index = Math.min(this.diffVersions.get(key), cachedComment.history.length - 1);
+        const changes = document.createElement('div');
+        changes.className = 'note-changes';
+
+        const picker = document.createElement('select');
+        picker.className = 'note-version-picker';
+        picker.setAttribute('aria-label', 'Compare with version');
+        cachedComment.history.forEach((version, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `Changes since ${new Date(version.timestamp).toLocaleDateString()}`;
+            option.selected = i === index;
+            picker.appendChild(option);
+        });
+        picker.addEventListener('click', (e) => e.stopPropagation());
+        picker.addEventListener('change', () => {
+            this.diffVersions.set(key, parseInt(picker.value));
+            this.updateIfVisible(username, mediaId, app.cacheClient.get(key));
+        });
+        changes.appendChild(picker);
+        changes.appendChild(NoteDiff.render(cachedComment.history[index].content, cachedComment.content));
+        note.replaceWith(changes);
+    }
+
+    createTranslateButton(username, mediaId) {
+        const key = cacheKey(username, mediaId);
+        const translated = this.translatedKeys.has(key);
+
+        const translateBtn = document.createElement('button');
+        translateBtn.className = 'tooltip-refresh-btn tooltip-translate-btn';
+        translateBtn.innerHTML = '<i class="fas fa-language"></i>';
+        translateBtn.title = translated ? 'Show original' : 'Translate';
+        translateBtn.setAttribute('aria-label', translateBtn.title);
+        translateBtn.setAttribute('aria-pressed', String(translated));
+
+        translateBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleTranslation(username, mediaId, translateBtn);
+        });
+        return translateBtn;
+    }
+
+    /**
+     * Switches a note between original and translated text, translating on first use
+     */
+    async toggleTranslation(username, mediaId, button) {
+        const key = cacheKey(username, mediaId);
+        if (this.translatedKeys.has(key)) {
+            this.translatedKeys.delete(key);
+            this.updateIfVisible(username, mediaId, app.cacheClient.get(key));
+            return;
+        }
+
+        const cachedComment = app.cacheClient.get(key);
+        if (!cachedComment?.hasContent()) return;
+
+        if (!NoteTranslator.isCurrent(cachedComment.translation)) {
+            button.disabled = true;
+            button.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+            let translation;
+            try {
+                translation = await NoteTranslator.translate(cachedComment.content);
+            } catch (error) {
+                Logger.warn('Translation failed:', error.message);
+                button.classList.add('error');
+                button.innerHTML = 'Unavailable';
+                return;
+            }
+
+            if (!translation.text) {
+                button.innerHTML = `Already in ${NoteTranslator.languageName(translation.from)}`;
+                return;
+            }
+            app.cacheClient.setTranslation(key, translation);
+        }
+
+        this.translatedKeys.add(key);
+        this.updateIfVisible(username, mediaId, app.cacheClient.get(key));
+    }
+
+    /**
+     * Entry details and rendered note, shared by the tooltip and pinned cards
+     */
+    createNoteContent(username, mediaId, cachedComment, translated = false) {
         const contentDiv = document.createElement('div');
         contentDiv.className = 'tooltip-content';
 
+        if (cachedComment?.details) {
+            contentDiv.appendChild(this.createDetailsHeader(cachedComment.details));
+        }
+
         const commentText = document.createElement('div');
         const hasComment = cachedComment && cachedComment.hasContent();
         commentText.className = hasComment ? 'comment' : 'no-comment';
-        commentText.textContent = hasComment ? cachedComment.content : 'No comment';
-        contentDiv.appendChild(commentText);
+        if (hasComment && translated && NoteTranslator.isCurrent(cachedComment.translation)) {
+            const label = document.createElement('div');
+            label.className = 'note-translation-label';
+            label.textContent = `Translated from ${NoteTranslator.languageName(cachedComment.translation.from)}`;
+            contentDiv.appendChild(label);
+            commentText.appendChild(NoteRenderer.render(cachedComment.translation.text));
+        } else if (hasComment) {
+            commentText.appendChild(NoteRenderer.render(cachedComment.content));
+        } else {
+            commentText.textContent = cachedComment ? EntryFormatter.formatNoteStatus(cachedComment.status) : 'No comment';
+        }
 
-        const footerDiv = document.createElement('div');
-        footerDiv.className = 'tooltip-footer';
+        const spoilerWarning = hasComment && SpoilerGuard.getWarning(username, mediaId, cachedComment.details);
+        if (spoilerWarning) {
+            contentDiv.appendChild(SpoilerGuard.protect(commentText, cacheKey(username, mediaId), spoilerWarning));
+        } else {
+            contentDiv.appendChild(commentText);
+        }
+        return contentDiv;
+    }
 
+    createCacheInfo(cachedComment) {
         const infoSpan = document.createElement('span');
         infoSpan.className = 'tooltip-info';
         if (cachedComment) {
@@ -968,7 +2885,10 @@ class TooltipManager {
         } else {
             infoSpan.textContent = 'Loading...';
         }
+        return infoSpan;
+    }
 
+    createRefreshButton(username, mediaId) {
         const refreshBtn = document.createElement('button');
         refreshBtn.className = 'tooltip-refresh-btn';
         refreshBtn.innerHTML = '<i class="fas fa-sync-alt"></i> Refresh';
@@ -978,9 +2898,9 @@ class TooltipManager {
             refreshBtn.disabled = true;
             refreshBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Refreshing...';
 
-            const status = await this.apiManager.refreshComment(username, mediaId);
+            const status = await this.apiClient.refreshComment(username, mediaId);
 
-            // 'updateIfVisible' will be called by 'refreshComment'
+            // Open tooltips and cards re-render once the cache mirror sees the new entry
             // We just need to manage the button state
             if (status === 'success') {
                 refreshBtn.classList.add('success');
@@ -1001,31 +2921,251 @@ class TooltipManager {
                 refreshBtn.innerHTML = '<i class="fas fa-sync-alt"></i> Refresh';
             }, 1500);
         });
+        return refreshBtn;
+    }
 
-        footerDiv.appendChild(infoSpan);
-        footerDiv.appendChild(refreshBtn);
-        tooltip.appendChild(contentDiv);
-        tooltip.appendChild(footerDiv);
+    /**
+     * Turns the open tooltip into a pinned card at the same place
+     */
+    pin() {
+        if (!this.currentUsername) return;
+        app.pinnedCards.pin(this.currentUsername, this.currentMediaId, this.tooltip.getBoundingClientRect());
+        this.close(false);
     }
 
-    startAutoHideChecker() {
-        setInterval(() => {
-            if (this.state !== 'visible' || !this.currentElement || !this.mousePosition) return;
+    /**
+     * Switches the tooltip to the note editor. The tooltip stays open until
+     * the edit is saved or cancelled.
+     */
+    openEditor(username, mediaId, cachedComment) {
+        this.editing = { username, mediaId, baseContent: cachedComment?.content || '', remoteChanged: false };
+        this.forceVisible = true;
+        this.clearTimer('force_hide');
+        this.renderEditor(username, mediaId, cachedComment);
+    }
 
-            const tooltipRect = this.tooltip.getBoundingClientRect();
-            const iconRect = this.currentElement.getBoundingClientRect();
+    closeEditor(username, mediaId) {
+        this.editing = null;
+        this.forceVisible = false;
+        this.updateTooltipContent(username, mediaId, app.cacheClient.get(cacheKey(username, mediaId)));
+    }
 
-            const isInTooltip = this.isPointInRect(this.mousePosition, tooltipRect);
-            const isInIcon = this.isPointInRect(this.mousePosition, iconRect);
+    /**
+     * Builds the note editor: textarea, character count, save/cancel and a message area
+     */
+    renderEditor(username, mediaId, cachedComment) {
+        const tooltip = this.getTooltip();
+        tooltip.innerHTML = '';
+
+        const editor = document.createElement('div');
+        editor.className = 'note-editor';
+
+        const label = document.createElement('label');
+        label.className = 'note-editor-label';
+        label.textContent = 'Your note';
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'note-editor-input';
+        textarea.rows = 6;
+        textarea.value = this.editing.draft ?? cachedComment?.content ?? '';
+        label.appendChild(textarea);
+
+        const count = document.createElement('div');
+        count.className = 'note-editor-count';
+        const updateCount = () => {
+            count.textContent = `${textarea.value.length} characters`;
+            this.editing.draft = textarea.value;
+        };
+        updateCount();
 
-            if (!this.forceVisible) {
-                this.hoverStates.tooltip = isInTooltip;
-                this.hoverStates.icon = isInIcon;
-                if (!isInTooltip && !isInIcon) {
-                    this.hide();
-                }
+        const message = document.createElement('div');
+        message.className = 'note-editor-message';
+        message.setAttribute('role', 'status');
+
+        const actions = document.createElement('div');
+        actions.className = 'tooltip-footer note-editor-actions';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'tooltip-refresh-btn';
+        cancelBtn.textContent = 'Cancel';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'tooltip-refresh-btn note-editor-save';
+        saveBtn.innerHTML = '<i class="fas fa-check"></i> Save';
+
+        const save = async (force = false) => {
+            saveBtn.disabled = true;
+            saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+            message.textContent = '';
+            message.className = 'note-editor-message';
+
+            const result = await this.apiClient.saveNote(mediaId, textarea.value, this.editing.baseContent, force);
+            if (!this.editing) return; // Tooltip closed meanwhile
+
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = '<i class="fas fa-check"></i> Save';
+
+            if (result.status === 'saved') {
+                this.closeEditor(username, mediaId);
+            } else if (result.status === 'conflict') {
+                this.showConflict(message, result.serverContent, textarea, save);
+            } else {
+                message.classList.add('tooltip-error');
+                message.textContent = {
+                    rate_limited: 'Rate limited by Anilist, try again in a minute.',
+                    not_on_list: 'This media is no longer on your list.',
+                    not_authenticated: 'Your Anilist login expired. Log in again from the options page.'
+                }[result.status] || 'Could not save the note.';
             }
-        }, CONFIG.AUTO_HIDE_CHECK_INTERVAL);
+        };
+
+        textarea.addEventListener('input', updateCount);
+        textarea.addEventListener('keydown', (e) => {
+            e.stopPropagation(); // Keep Anilist's shortcuts out of the editor
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) save();
+            if (e.key === 'Escape') this.closeEditor(username, mediaId);
+        });
+        cancelBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closeEditor(username, mediaId);
+        });
+        saveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            save();
+        });
+
+        actions.appendChild(count);
+        actions.appendChild(cancelBtn);
+        actions.appendChild(saveBtn);
+        editor.appendChild(label);
+        editor.appendChild(message);
+        editor.appendChild(actions);
+        tooltip.appendChild(editor);
+
+        if (this.editing.remoteChanged) {
+            message.classList.add('tooltip-warning');
+            message.textContent = 'This note was updated since you started editing.';
+        }
+        textarea.focus();
+    }
+
+    /**
+     * Shows the version found on Anilist and lets the user keep theirs or take it
+     */
+    showConflict(message, serverContent, textarea, save) {
+        message.innerHTML = '';
+        message.classList.add('tooltip-warning', 'note-editor-conflict');
+
+        const text = document.createElement('div');
+        text.textContent = 'This note was changed on Anilist since it was loaded:';
+        const serverVersion = document.createElement('div');
+        serverVersion.className = 'comment note-editor-server';
+        if (serverContent) {
+            serverVersion.appendChild(NoteRenderer.render(serverContent));
+        } else {
+            serverVersion.textContent = '(empty)';
+        }
+
+        const overwriteBtn = document.createElement('button');
+        overwriteBtn.className = 'tooltip-refresh-btn';
+        overwriteBtn.textContent = 'Overwrite with mine';
+        overwriteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            save(true);
+        });
+
+        const useServerBtn = document.createElement('button');
+        useServerBtn.className = 'tooltip-refresh-btn';
+        useServerBtn.textContent = 'Use Anilist version';
+        useServerBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.editing.baseContent = serverContent;
+            this.editing.remoteChanged = false;
+            textarea.value = serverContent;
+            textarea.dispatchEvent(new Event('input'));
+            message.innerHTML = '';
+            message.className = 'note-editor-message';
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'note-editor-conflict-actions';
+        buttons.appendChild(useServerBtn);
+        buttons.appendChild(overwriteBtn);
+
+        message.appendChild(text);
+        message.appendChild(serverVersion);
+        message.appendChild(buttons);
+    }
+
+    /**
+     * Builds the header with the user's score, status, progress and dates
+     */
+    createDetailsHeader(details) {
+        const header = document.createElement('div');
+        header.className = 'tooltip-header';
+
+        const topRow = document.createElement('div');
+        topRow.className = 'tooltip-header-top';
+
+        const status = EntryFormatter.formatStatus(details.status, details.mediaType);
+        if (status) {
+            const statusBadge = document.createElement('span');
+            statusBadge.className = `entry-status status-${String(details.status).toLowerCase()}`;
+            statusBadge.textContent = status;
+            topRow.appendChild(statusBadge);
+        }
+
+        const score = EntryFormatter.formatScore(details.score, details.scoreFormat);
+        if (score) {
+            const scoreSpan = document.createElement('span');
+            scoreSpan.className = 'entry-score';
+            scoreSpan.textContent = score;
+            topRow.appendChild(scoreSpan);
+        }
+        header.appendChild(topRow);
+
+        const rows = [
+            ['Progress', EntryFormatter.formatProgress(details)],
+            [details.mediaType === 'MANGA' ? 'Rereads' : 'Rewatches', details.repeat ? `${details.repeat}` : null],
+            ['Started', EntryFormatter.formatFuzzyDate(details.startedAt)],
+            ['Completed', EntryFormatter.formatFuzzyDate(details.completedAt)],
+            ['Updated', details.updatedAt ? new Date(details.updatedAt * 1000).toLocaleDateString() : null]
+        ];
+
+        const list = document.createElement('dl');
+        list.className = 'entry-details';
+        for (const [label, value] of rows) {
+            if (!value) continue;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const desc = document.createElement('dd');
+            desc.textContent = value;
+            list.appendChild(term);
+            list.appendChild(desc);
+        }
+        header.appendChild(list);
+
+        return header;
+    }
+
+    /**
+     * Hides the tooltip once the pointer has left both the icon and the tooltip,
+     * in case a leave event was missed. Runs on pointer moves only.
+     */
+    checkAutoHide() {
+        if (this.state !== 'visible' || this.forceVisible || !this.currentElement) return;
+
+        const tooltipRect = this.tooltip.getBoundingClientRect();
+        const iconRect = this.currentElement.getBoundingClientRect();
+
+        const isInTooltip = this.isPointInRect(this.mousePosition, tooltipRect);
+        const isInIcon = this.isPointInRect(this.mousePosition, iconRect);
+
+        this.hoverStates.tooltip = isInTooltip;
+        this.hoverStates.icon = isInIcon;
+        if (!isInTooltip && !isInIcon) {
+            this.hide();
+        }
     }
 
     isPointInRect(point, rect) {
@@ -0,0 +1,24 @@
+/**
+ * Anilist Hover Comments - Navigation hook
+ *
+ * Runs in the page's own JavaScript world, where Anilist's router calls
+ * history.pushState/replaceState, and announces every URL change with a window
+ * event the content script listens for. Content scripts live in an isolated
+ * world and cannot see these calls themselves.
+ *
+ * @author ExAstra
+ * @see https://github.com/rikymarche-ctrl/anilist-extension
+ */
+(() => {
+    // Keep in sync with LOCATION_CHANGE_EVENT in content.js
+    const LOCATION_CHANGE_EVENT = 'anilist-hover-comments:locationchange';
+
+    for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+        history[method] = function (...args) {
+            const result = original.apply(this, args);
+            window.dispatchEvent(new Event(LOCATION_CHANGE_EVENT));
+            return result;
+        };
+    }
+})();
@@ -0,0 +1,171 @@
+/**
+ * Anilist Hover Comments - Notes browser
+ *
+ * Extension page, opened from the toolbar button, that searches every cached
+ * note by user, media title and note text. Entries come from the background
+ * worker's cache and the page reloads them whenever the cache changes.
+ *
+ * @author ExAstra
+ * @see https://github.com/rikymarche-ctrl/anilist-extension
+ */
+
+/**
+ * Notes browser controller
+ */
+class NotesBrowser {
+    static MAX_RESULTS = 200; // Rendered at once; narrow the search to see the rest
+    static RELOAD_DELAY = 1000;
+
+    constructor() {
+        this.search = document.getElementById('search');
+        this.userFilter = document.getElementById('filter-user');
+        this.typeFilter = document.getElementById('filter-type');
+        this.dateFilter = document.getElementById('filter-date');
+        this.summary = document.getElementById('summary');
+        this.results = document.getElementById('results');
+        this.index = [];
+        this.reloadTimer = null;
+    }
+
+    async init() {
+        for (const input of [this.search, this.userFilter, this.typeFilter, this.dateFilter]) {
+            input.addEventListener('input', () => this.render());
+        }
+
+        // Notes fetched in open Anilist tabs show up here as well. Access time updates are ignored.
+        chrome.storage.onChanged.addListener((changes, area) => {
+            const fetched = Object.entries(changes).some(([key, change]) =>
+                key.startsWith(CACHE_KEY_PREFIX) && change.oldValue?.timestamp !== change.newValue?.timestamp
+            );
+            if (area !== 'local' || !fetched) return;
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.load(), NotesBrowser.RELOAD_DELAY);
+        });
+
+        await this.load();
+    }
+
+    async load() {
+        const response = await sendToBackground({ type: MESSAGES.EXPORT_CACHE });
+        if (!response?.entries) {
+            this.summary.textContent = response?.error || 'Could not load the cached notes';
+            return;
+        }
+
+        this.index = response.entries.map(entry => ({
+            entry,
+            text: `${entry.username}\n${entry.title || ''}\n${entry.content}`.toLowerCase(),
+            date: entry.details?.updatedAt ? entry.details.updatedAt * 1000 : entry.timestamp
+        })).sort((a, b) => b.date - a.date);
+
+        this.renderUsers();
+        this.render();
+    }
+
+    /**
+     * Fills the user filter, keeping the current choice
+     */
+    renderUsers() {
+        const selected = this.userFilter.value;
+        const users = [...new Set(this.index.map(({ entry }) => entry.username))]
+            .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+
+        this.userFilter.length = 1; // Keep "All users"
+        for (const username of users) {
+            this.userFilter.add(new Option(username, username));
+        }
+        this.userFilter.value = users.includes(selected) ? selected : '';
+    }
+
+    render() {
+        const terms = this.search.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = this.index.filter(item => this.matches(item, terms));
+
+        this.results.innerHTML = '';
+        matches.slice(0, NotesBrowser.MAX_RESULTS).forEach(item => {
+            this.results.appendChild(this.createResult(item, terms));
+        });
+
+        if (this.index.length === 0) {
+            this.summary.textContent = 'No notes cached yet. Browse Anilist and they will appear here.';
+        } else if (matches.length > NotesBrowser.MAX_RESULTS) {
+            this.summary.textContent = `Showing the ${NotesBrowser.MAX_RESULTS} most recent of ${matches.length} notes`;
+        } else {
+            this.summary.textContent = `${matches.length} of ${this.index.length} notes`;
+        }
+    }
+
+    matches({ entry, text, date }, terms) {
+        if (this.userFilter.value && entry.username !== this.userFilter.value) return false;
+        if (this.typeFilter.value && entry.details?.mediaType !== this.typeFilter.value) return false;
+        if (this.dateFilter.value && date < Date.now() - Number(this.dateFilter.value) * 24 * 60 * 60 * 1000) return false;
+        return terms.every(term => text.includes(term));
+    }
+
+    createResult({ entry, date }, terms) {
+        const item = document.createElement('li');
+        item.className = 'notes-result';
+
+        const header = document.createElement('div');
+        header.className = 'notes-result-header';
+
+        // Entries cached by older versions don't know their type, and no Anilist page fits both
+        const mediaType = { ANIME: 'anime', MANGA: 'manga' }[entry.details?.mediaType];
+        const title = document.createElement(mediaType ? 'a' : 'span');
+        title.className = 'notes-result-title';
+        if (mediaType) {
+            title.href = `https://anilist.co/${mediaType}/${entry.mediaId}`;
+            title.target = '_blank';
+            title.rel = 'noopener';
+        }
+        const label = { anime: 'Anime', manga: 'Manga' }[mediaType] || 'Media';
+        title.appendChild(NotesBrowser.highlight(entry.title || `${label} #${entry.mediaId}`, terms));
+        header.appendChild(title);
+
+        const meta = document.createElement('span');
+        meta.className = 'notes-result-meta';
+        const user = document.createElement('a');
+        user.href = `https://anilist.co/user/${encodeURIComponent(entry.username)}/`;
+        user.target = '_blank';
+        user.rel = 'noopener';
+        user.appendChild(NotesBrowser.highlight(entry.username, terms));
+        meta.appendChild(user);
+        meta.append(` · ${new Date(date).toLocaleDateString()}`);
+        header.appendChild(meta);
+
+        const text = document.createElement('p');
+        text.className = 'notes-result-text';
+        text.appendChild(NotesBrowser.highlight(entry.content, terms));
+
+        item.appendChild(header);
+        item.appendChild(text);
+        return item;
+    }
+
+    /**
+     * Returns the text as a fragment with the search terms wrapped in <mark>
+     */
+    static highlight(text, terms) {
+        const fragment = document.createDocumentFragment();
+        if (terms.length === 0) {
+            fragment.append(text);
+            return fragment;
+        }
+
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+        text.split(pattern).forEach((part, i) => {
+            // split() puts the captured matches at odd indexes
+            if (i % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else if (part) {
+                fragment.append(part);
+            }
+        });
+        return fragment;
+    }
+}
+
+new NotesBrowser().init();
@@ -0,0 +1,289 @@
+/**
+ * Anilist Hover Comments - Options page
+ *
+ * Renders a form for the user-editable settings declared in SETTINGS_SCHEMA
+ * and stores them in chrome.storage.sync. Open content scripts pick up the
+ * changes live through storage change events. Also hosts the optional
+ * Anilist login, which runs in the background worker, and the export and
+ * import of cached notes.
+ *
+ * @author ExAstra
+ * @see https://github.com/rikymarche-ctrl/anilist-extension
+ */
+
+/**
+ * Columns of the CSV export, as [header, value getter]
+ */
+const CSV_COLUMNS = [
+    ['username', entry => entry.username],
+    ['mediaId', entry => entry.mediaId],
+    ['title', entry => entry.title],
+    ['mediaType', entry => entry.details?.mediaType],
+    ['status', entry => entry.details?.status],
+    ['score', entry => entry.details?.score],
+    ['progress', entry => entry.details?.progress],
+    ['note', entry => entry.content],
+    ['fetchedAt', entry => new Date(entry.timestamp).toISOString()],
+    ['updatedAt', entry => entry.details?.updatedAt ? new Date(entry.details.updatedAt * 1000).toISOString() : null]
+];
+
+/**
+ * Options page controller
+ */
+class OptionsPage {
+    constructor() {
+        this.form = document.getElementById('settings-form');
+        this.fieldsContainer = document.getElementById('settings-fields');
+        this.status = document.getElementById('settings-status');
+        this.statusTimer = null;
+    }
+
+    async init() {
+        this.renderFields();
+        this.fill(await Settings.load());
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        document.getElementById('reset-settings').addEventListener('click', () => this.reset());
+
+        document.getElementById('login').addEventListener('click', () => this.login());
+        document.getElementById('logout').addEventListener('click', () => this.logout());
+        await this.renderAccount();
+
+        document.getElementById('export-json').addEventListener('click', () => this.exportNotes('json'));
+        document.getElementById('export-csv').addEventListener('click', () => this.exportNotes('csv'));
+        const importFile = document.getElementById('import-file');
+        document.getElementById('import-json').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            if (importFile.files[0]) this.importNotes(importFile.files[0]);
+            importFile.value = '';
+        });
+    }
+
+    /**
+     * Shows either the login form or the logged-in user
+     */
+    async renderAccount() {
+        const [status, stored] = await Promise.all([
+            sendToBackground({ type: MESSAGES.AUTH_STATUS }),
+            chrome.storage.sync.get(AUTH_CLIENT_ID_STORAGE_KEY)
+        ]);
+        const viewer = status?.viewer;
+
+        document.getElementById('account-logged-out').hidden = Boolean(viewer);
+        document.getElementById('account-logged-in').hidden = !viewer;
+        document.getElementById('redirect-url').textContent = status?.redirectUrl || '';
+        document.getElementById('client-id').value = stored[AUTH_CLIENT_ID_STORAGE_KEY] || '';
+
+        if (viewer) {
+            document.getElementById('viewer-name').textContent = viewer.name;
+            const avatar = document.getElementById('viewer-avatar');
+            avatar.hidden = !viewer.avatar;
+            if (viewer.avatar) avatar.src = viewer.avatar;
+        }
+    }
+
+    async login() {
+        const clientId = document.getElementById('client-id').value.trim();
+        const response = await sendToBackground({ type: MESSAGES.AUTH_LOGIN, clientId });
+        if (!response || response.error) {
+            this.showAccountStatus(response?.error || 'Login failed', true);
+            return;
+        }
+        this.showAccountStatus(`Welcome, ${response.viewer.name}!`);
+        await this.renderAccount();
+    }
+
+    async logout() {
+        await sendToBackground({ type: MESSAGES.AUTH_LOGOUT });
+        this.showAccountStatus('Logged out');
+        await this.renderAccount();
+    }
+
+    showAccountStatus(message, isError = false) {
+        const status = document.getElementById('account-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    async exportNotes(format) {
+        const response = await sendToBackground({ type: MESSAGES.EXPORT_CACHE });
+        if (!response?.entries) {
+            this.showBackupStatus(response?.error || 'Export failed', true);
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            const rows = [CSV_COLUMNS.map(([header]) => header)];
+            response.entries.forEach(entry => rows.push(CSV_COLUMNS.map(([, get]) => get(entry))));
+            const csv = rows.map(row => row.map(OptionsPage.csvField).join(',')).join('\r\n');
+            OptionsPage.download(`anilist-notes-${date}.csv`, csv, 'text/csv');
+        } else {
+            const file = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: Date.now(), entries: response.entries };
+            OptionsPage.download(`anilist-notes-${date}.json`, JSON.stringify(file, null, 2), 'application/json');
+        }
+        this.showBackupStatus(`Exported ${response.entries.length} notes`);
+    }
+
+    async importNotes(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showBackupStatus('Not a valid JSON file', true);
+            return;
+        }
+        if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.entries)) {
+            this.showBackupStatus('Not an Anilist Hover Comments export', true);
+            return;
+        }
+
+        const response = await sendToBackground({ type: MESSAGES.IMPORT_CACHE, entries: data.entries });
+        if (!response || response.error) {
+            this.showBackupStatus(response?.error || 'Import failed', true);
+            return;
+        }
+        const skipped = response.skipped ? `, ${response.skipped} skipped (invalid or older than the cached note)` : '';
+        this.showBackupStatus(`Imported ${response.imported} notes${skipped}`);
+    }
+
+    showBackupStatus(message, isError = false) {
+        const status = document.getElementById('backup-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Quotes a CSV field when needed (RFC 4180). Text that a spreadsheet would
+     * run as a formula gets a leading apostrophe.
+     */
+    static csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Builds one labelled input per schema entry
+     */
+    renderFields() {
+        for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+            const row = document.createElement('label');
+            row.className = `field field-${schema.type}`;
+
+            const label = document.createElement('span');
+            label.className = 'field-label';
+            label.textContent = schema.label;
+
+            let input;
+            if (schema.type === 'select') {
+                input = document.createElement('select');
+                for (const [value, text] of Object.entries(schema.options)) {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    input.appendChild(option);
+                }
+            } else {
+                input = document.createElement('input');
+                if (schema.type === 'boolean') {
+                    input.type = 'checkbox';
+                } else if (schema.type === 'text') {
+                    input.type = 'text';
+                    input.maxLength = schema.maxLength;
+                    input.spellcheck = false;
+                } else {
+                    input.type = 'number';
+                    input.min = schema.min;
+                    input.max = schema.max;
+                    input.step = 'any';
+                    input.required = true;
+                }
+            }
+            input.name = key;
+
+            row.appendChild(label);
+            row.appendChild(input);
+            if (schema.unit) {
+                const unit = document.createElement('span');
+                unit.className = 'field-unit';
+                unit.textContent = schema.unit;
+                row.appendChild(unit);
+            }
+            this.fieldsContainer.appendChild(row);
+        }
+    }
+
+    fill(values) {
+        for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+            const input = this.form.elements[key];
+            if (schema.type === 'boolean') {
+                input.checked = Boolean(values[key]);
+            } else if (schema.type === 'number') {
+                input.value = values[key] / schema.scale;
+            } else {
+                input.value = values[key];
+            }
+        }
+    }
+
+    read() {
+        const values = {};
+        for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+            const input = this.form.elements[key];
+            if (schema.type === 'boolean') {
+                values[key] = input.checked;
+            } else if (schema.type === 'number') {
+                values[key] = Number(input.value) * schema.scale;
+            } else {
+                values[key] = input.value;
+            }
+        }
+        return values;
+    }
+
+    async save() {
+        try {
+            await Settings.save(this.read());
+            this.fill(await Settings.load());
+            this.showStatus('Saved');
+        } catch (error) {
+            Logger.error('Settings saving failed:', error.message);
+            this.showStatus('Could not save settings', true);
+        }
+    }
+
+    async reset() {
+        try {
+            await Settings.reset();
+            this.fill(await Settings.load());
+            this.showStatus('Defaults restored');
+        } catch (error) {
+            Logger.error('Settings reset failed:', error.message);
+            this.showStatus('Could not reset settings', true);
+        }
+    }
+
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            this.status.textContent = '';
+        }, 2000);
+    }
+}
+
+new OptionsPage().init();